@@ -21,11 +21,28 @@
 	// --- 1. STATE MANAGEMENT ---
 	// Centralized state object for the entire application
 	const languageState = {
+		// Seed string for the shared PRNG; same settings + same seed => same output
+		seed: "",
 		phonology: {
 			consonants: [],
 			vowels: [],
 			syllableStructures: [],
+			distribution: {
+				mode: "zipf", // "zipf" | "uniform": default weight curve over the listed order
+				phonemeWeights: {}, // explicit overrides, e.g. { p: 5 }
+				syllableWeights: {}, // e.g. { CV: 3 }
+				onsetOnly: [],
+				codaOnly: [],
+				bannedSequences: [],
+			},
+			prosody: {
+				syllableCounts: { 1: 3, 2: 5, 3: 2 }, // weights of words with that many syllables
+				stress: "penultimate", // "none" | "initial" | "penultimate" | "final" | "weight" | "free"
+				maxCluster: 2, // longest consonant run allowed across a syllable boundary
+				avoidHiatus: false,
+			},
 			phonologicalRules: [],
+			naturalClasses: [], // [{ name: "N", members: "m n ŋ" | "[+nasal]" }]
 			tones: {
 				enabled: false,
 				count: 3,
@@ -33,9 +50,22 @@
 		},
 		lexicon: {
 			semanticFields: [],
+			// User-defined fields: [{ name, tags: ["noun", "animate"], meanings: ["whale", "coral:mass"] }]
+			customFields: [],
+			prioritizeFields: false, // fill from the first listed field before moving to the next
+			homophonyRate: 0, // share of roots that reuse an earlier root's form
+			polysemyRate: 0, // chance of each applicable SEMANTIC_EXTENSIONS sense
+			synonymRate: 0, // share of roots that get a register- or dialect-marked synonym
+			dialects: [], // dialect names synonyms can be assigned to
 			rootCount: 100,
 			loanwords: {
 				enabled: false,
+				rate: 0.05, // share of the root count borrowed
+				language: "English",
+				repair: "epenthesis", // or "deletion"
+				// Donor words; "ipa" may be left empty to guess it from the spelling.
+				words: ["computer", "internet", "phone", "radio", "television", "music", "art", "game", "food", "water"]
+					.map((word) => ({ word, ipa: "" })),
 			},
 		},
 		morphoSyntax: {
@@ -44,19 +74,54 @@
 			caseMarking: "suffix",
 			irregularityRate: 0.05,
 			derivationalMorphemes: [],
+			// How many derivational affixes a chain may stack.
+			derivationDepth: 1,
+			// Head position, optional linking element (IPA) and boundary fusion of compounds.
+			compounding: { head: "final", linker: "", fusion: "none" },
 			grammaticalGender: "none",
 			genderAgreement: false,
+			// Marked values of each inflectional category (see MorphoSyntax.CATEGORIES).
+			inflection: {
+				case: ["nominative", "accusative"],
+				number: ["singular", "plural"],
+				person: [],
+				tense: ["past", "present", "future"],
+				aspect: [],
+				mood: [],
+			},
+			// User-fixed affixes by category and value; they win over generated markers.
+			markerOverrides: {},
+			// Added to the marker seed by "regenerate markers"; empty for the markers of the language seed.
+			markerSeed: "",
+			// How many example sentences to show and which constructions they may use.
+			exampleSentences: {
+				count: 3,
+				constructions: ["intransitive", "transitive", "ditransitive", "negation", "yesNo", "wh", "subordinate", "adjectives", "plurals"],
+			},
+		},
+		orthography: {
+			primary: 0,
+			schemes: [{ name: "ラテン文字", inheritDefaults: true, map: {}, rules: [] }],
+		},
+		evolution: {
+			daughters: [],
 		},
 		generated: {
 			dictionary: [],
 			grammar: {
-				subjectMarker: "ga",
-				objectMarker: "wo",
-				pluralMarker: "t",
-				tenses: {
-					past: "ta",
-					present: "ru",
-					future: "lu",
+				// IPA form of every category value's affix; "" leaves the value unmarked.
+				markers: {
+					case: {
+						nominative: "ga", accusative: "wo", genitive: "no", dative: "ni",
+						locative: "de", ablative: "kara", instrumental: "to", vocative: "jo",
+					},
+					number: { singular: "", dual: "ri", plural: "t" },
+					person: { 1: "mi", 2: "si", 3: "" },
+					tense: { past: "ta", present: "ru", future: "lu" },
+					aspect: { perfective: "ki", imperfective: "", progressive: "tei", habitual: "ke" },
+					mood: { indicative: "", subjunctive: "ba", imperative: "ro", conditional: "nara" },
+					gender: { masculine: "o", feminine: "a", neuter: "e" },
+					particle: { negation: "nai", question: "ka", complementizer: "to", who: "dare", what: "nani" },
 				},
 			},
 		},
@@ -68,6 +133,55 @@
 
 	// --- 3. CORE LOGIC MODULES ---
 
+	/**
+	 * Random Module: Seedable PRNG shared by all generators so output is reproducible.
+	 */
+	const Random = {
+		_state: 0,
+
+		seed(value) {
+			// FNV-1a hash turns any seed string into a 32-bit starting state.
+			let hash = 0x811c9dc5;
+			for (const char of String(value)) {
+				hash ^= char.codePointAt(0);
+				hash = Math.imul(hash, 0x01000193);
+			}
+			this._state = hash >>> 0;
+		},
+
+		// mulberry32: small, fast and good enough for word generation.
+		next() {
+			this._state = (this._state + 0x6d2b79f5) >>> 0;
+			let t = this._state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		},
+
+		int(max) {
+			return Math.floor(this.next() * max);
+		},
+
+		pick(array) {
+			return array[this.int(array.length)];
+		},
+
+		weighted(array, weights) {
+			const total = weights.reduce((sum, w) => sum + w, 0);
+			if (total <= 0) return this.pick(array);
+			let r = this.next() * total;
+			for (let i = 0; i < array.length; i++) {
+				r -= weights[i];
+				if (r < 0) return array[i];
+			}
+			return array[array.length - 1];
+		},
+
+		createSeed() {
+			return Math.random().toString(36).slice(2, 10);
+		},
+	};
+
 	/**
 	 * Phonology Module: Handles sound systems and word generation.
 	 */
@@ -76,14 +190,58 @@
 			p: "p", t: "t", k: "k", b: "b", d: "d", g: "g", m: "m", n: "n",
 			s: "s", z: "z", h: "h", r: "r", j: "y", w: "w", a: "a", i: "i",
 			u: "u", e: "e", o: "o", ʃ: "sh", ʧ: "ch", ʤ: "j", ŋ: "ng",
-			θ: "th", ð: "dh", "¹": "¹", "²": "²", "³": "³", "⁴": "⁴", "⁵": "⁵",
+			θ: "th", ð: "dh", l: "l", f: "f", v: "v", x: "kh", ʒ: "zh", ɪ: "i",
+			ʊ: "u", ɛ: "e", ɔ: "o", æ: "ae", ɑ: "a", ə: "e", ɲ: "ny", ɣ: "gh",
+			ʦ: "ts", ʣ: "dz", ç: "ch", ɾ: "r", ɹ: "r", ʔ: "'", "¹": "¹", "²": "²", "³": "³", "⁴": "⁴", "⁵": "⁵",
 			"⁶": "⁶", "⁷": "⁷", "⁸": "⁸", "⁹": "⁹",
 		},
 
+		// Spells IPA with the primary orthography.
 		romanize(ipaStr) {
-			return Array.from(ipaStr)
-				.map((char) => this.ipaToRomanMap[char] || char)
-				.join("");
+			return Orthography.spell(ipaStr);
+		},
+
+		// Combining marks and IPA modifier letters that belong to the preceding segment.
+		_isModifier(char) {
+			return /\p{M}/u.test(char) || "ːˑʰʷʲˠˤⁿˡ˞".includes(char);
+		},
+
+		/**
+		 * The declared segments (consonants, vowels and, when enabled, tone markers).
+		 * `source` defaults to the current phonology; sound changes pass a later stage.
+		 */
+		getInventory(source = languageState.phonology) {
+			const { consonants, vowels } = source;
+			const { tones } = languageState.phonology;
+			const inventory = [...consonants, ...vowels];
+			if (tones.enabled) {
+				for (let tone = 1; tone <= tones.count; tone++) inventory.push(this.toneMarker(tone));
+			}
+			return inventory;
+		},
+
+		/**
+		 * Splits a string into segments, longest inventory match first, so digraphs,
+		 * long vowels and diphthongs stay whole. Characters outside the inventory become
+		 * their own segment, except modifiers, which stay attached to the segment before them.
+		 */
+		tokenize(str, inventory = this.getInventory()) {
+			const sorted = [...new Set(inventory)].filter(Boolean).sort((a, b) => b.length - a.length);
+			const tokens = [];
+			let i = 0;
+			while (i < str.length) {
+				const match = sorted.find((segment) => str.startsWith(segment, i));
+				if (match) {
+					tokens.push(match);
+					i += match.length;
+					continue;
+				}
+				const char = String.fromCodePoint(str.codePointAt(i));
+				if (tokens.length > 0 && this._isModifier(char)) tokens[tokens.length - 1] += char;
+				else tokens.push(char);
+				i += char.length;
+			}
+			return tokens;
 		},
 
 
@@ -98,106 +256,718 @@
 			)
 				return null;
 
-			const structure =
-				syllableStructures[
-					Math.floor(Math.random() * syllableStructures.length)
-				];
+			// Retry a few times when the result breaks a phonotactic constraint.
+			for (let attempt = 0; attempt < 20; attempt++) {
+				const underlying = this.generateUnderlyingForm();
+				if (!underlying) continue;
+				let finalWord = this.applyPhonologicalRules(underlying);
+				if (this.hasBannedSequence(finalWord)) continue;
+
+				if (tones.enabled) {
+					finalWord += this.toneMarker(Random.int(tones.count) + 1);
+				}
+				return finalWord;
+			}
+			return null;
+		},
+
+		/**
+		 * Builds a stress-marked word from weighted syllable templates before any
+		 * phonological rule applies. Returns null when the syllable boundaries are not allowed.
+		 */
+		generateUnderlyingForm() {
+			const { syllableStructures, distribution, prosody } = languageState.phonology;
+			const structureWeights = this.getWeights(syllableStructures, distribution.syllableWeights);
+			const counts = Object.keys(prosody.syllableCounts).map(Number);
+			const countWeights = counts.map((count) => prosody.syllableCounts[count]);
+			const syllableCount = counts.length > 0 ? Random.weighted(counts, countWeights) : 1;
+			const structures = [];
+			for (let i = 0; i < syllableCount; i++) structures.push(Random.weighted(syllableStructures, structureWeights));
+			if (!this.allowsBoundaries(structures)) return null;
+
+			const syllables = structures.map((structure) => this.buildSyllable(structure));
+			const stressed = this.chooseStress(structures, syllables);
+			if (stressed !== -1) syllables[stressed] = this.STRESS_MARK + syllables[stressed];
+			return syllables.join("");
+		},
+
+		STRESS_MARK: "ˈ",
+
+		/**
+		 * Cross-syllable phonotactics: coda + following onset may not exceed maxCluster
+		 * consonants, and vowel-vowel hiatus can be ruled out.
+		 */
+		allowsBoundaries(structures) {
+			const { maxCluster, avoidHiatus } = languageState.phonology.prosody;
+			for (let i = 0; i < structures.length - 1; i++) {
+				const coda = structures[i].length - structures[i].replace(/C+$/, "").length;
+				const onset = structures[i + 1].length - structures[i + 1].replace(/^C+/, "").length;
+				if (coda > 0 && coda + onset > maxCluster) return false;
+				if (avoidHiatus && coda === 0 && onset === 0) return false;
+			}
+			return true;
+		},
+
+		/**
+		 * Index of the stressed syllable, or -1 when stress is off or the word is a monosyllable.
+		 * Weight-sensitive stress follows the Latin pattern: a heavy penult (closed or with a
+		 * long/complex nucleus) is stressed, otherwise the antepenult.
+		 */
+		chooseStress(structures, syllables) {
+			const { stress } = languageState.phonology.prosody;
+			const n = structures.length;
+			if (stress === "none" || n < 2) return -1;
+			switch (stress) {
+				case "initial": return 0;
+				case "final": return n - 1;
+				case "free": return Random.int(n);
+				case "weight": {
+					const penult = n - 2;
+					if (this.isHeavy(structures[penult], syllables[penult])) return penult;
+					return Math.max(0, n - 3);
+				}
+				default: return n - 2;
+			}
+		},
+
+		isHeavy(structure, syllable) {
+			if (/VC+$/.test(structure)) return true;
+			const { vowels } = languageState.phonology;
+			return this.tokenize(syllable).some((segment) => vowels.includes(segment)
+				&& (segment.includes("ː") || Array.from(segment).length > 1));
+		},
+
+		/**
+		 * Splits a word into syllables around its vowel nuclei. Consonants between two vowels
+		 * go to the following onset up to the longest onset the templates allow.
+		 * Stress marks are dropped. @returns {string[][]} segments per syllable
+		 */
+		syllabify(word) {
+			const { vowels, syllableStructures } = languageState.phonology;
+			const segments = this.tokenize(word).filter((s) => s !== this.STRESS_MARK);
+			const isVowel = (s) => this.isVowel(s, vowels);
+			const maxOnset = Math.max(0, ...syllableStructures.map((s) => s.length - s.replace(/^C+/, "").length));
+			const nuclei = segments.map((s, i) => (isVowel(s) ? i : -1)).filter((i) => i !== -1);
+			if (nuclei.length === 0) return segments.length > 0 ? [segments] : [];
+
+			const starts = [0];
+			for (let k = 1; k < nuclei.length; k++) {
+				const run = nuclei[k] - nuclei[k - 1] - 1;
+				starts.push(nuclei[k] - Math.min(run, Math.max(maxOnset, run > 0 ? 1 : 0)));
+			}
+			return starts.map((start, k) => segments.slice(start, starts[k + 1] !== undefined ? starts[k + 1] : segments.length));
+		},
+
+		/**
+		 * Puts the stress mark before the syllable holding the given nucleus (0-based).
+		 */
+		markStress(word, nucleusIndex) {
+			const syllables = this.syllabify(word);
+			if (syllables.length < 2) return syllables.flat().join("");
+			const stressed = Math.min(nucleusIndex, syllables.length - 1);
+			return syllables.map((syllable, i) => (i === stressed ? this.STRESS_MARK : "") + syllable.join("")).join("");
+		},
+
+		stressedNucleus(word) {
+			const before = word.split(this.STRESS_MARK)[0];
+			const { vowels } = languageState.phonology;
+			return this.tokenize(before).filter((s) => this.isVowel(s, vowels)).length;
+		},
+
+		isVowel(segment, vowels = languageState.phonology.vowels) {
+			const features = this.getFeatures(segment);
+			return vowels.includes(segment) || Boolean(features && features.has("vowel"));
+		},
+
+		/**
+		 * Fills a C/V template with weighted picks. Consonants before the first vowel are
+		 * onsets and after the last vowel codas; onset-only / coda-only segments are kept
+		 * out of the other position.
+		 */
+		buildSyllable(structure) {
+			const { consonants, vowels, distribution } = languageState.phonology;
+			const { phonemeWeights, onsetOnly, codaOnly } = distribution;
+			const firstVowel = structure.indexOf("V");
+			const lastVowel = structure.lastIndexOf("V");
 			let word = "";
-			for (const char of structure) {
-				if (char === "C") {
-					word += consonants[Math.floor(Math.random() * consonants.length)];
-				} else if (char === "V") {
-					word += vowels[Math.floor(Math.random() * vowels.length)];
+			Array.from(structure).forEach((char, i) => {
+				if (char === "V") {
+					word += Random.weighted(vowels, this.getWeights(vowels, phonemeWeights));
+				} else if (char === "C") {
+					let candidates = consonants;
+					if (firstVowel !== -1 && i < firstVowel) candidates = consonants.filter((c) => !codaOnly.includes(c));
+					else if (i > lastVowel) candidates = consonants.filter((c) => !onsetOnly.includes(c));
+					if (candidates.length === 0) candidates = consonants;
+					word += Random.weighted(candidates, this.getWeights(candidates, phonemeWeights, consonants));
 				}
+			});
+			return word;
+		},
+
+		/**
+		 * Weight of each item: an explicit override, or the default curve over the item's
+		 * rank in `ranking` (the order the user listed them). Zipf gives rank r weight 1/r.
+		 */
+		getWeights(items, overrides = {}, ranking = items) {
+			const { mode } = languageState.phonology.distribution;
+			return items.map((item) => {
+				if (overrides[item] !== undefined) return overrides[item];
+				return mode === "zipf" ? 1 / (ranking.indexOf(item) + 1) : 1;
+			});
+		},
+
+		hasBannedSequence(word) {
+			const { bannedSequences } = languageState.phonology.distribution;
+			if (bannedSequences.length === 0) return false;
+			const segments = this.tokenize(word);
+			return bannedSequences.some((sequence) => {
+				const banned = this.tokenize(sequence);
+				return segments.some((_, i) => banned.every((s, j) => segments[i + j] === s));
+			});
+		},
+
+		/**
+		 * Share (0-1) of each item under the configured weights, most frequent first.
+		 */
+		describeDistribution(items, overrides) {
+			const weights = this.getWeights(items, overrides);
+			const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+			return items.map((item, i) => ({ item, share: weights[i] / total })).sort((a, b) => b.share - a.share);
+		},
+
+		toneMarker(tone) {
+			return "⁰¹²³⁴⁵⁶⁷⁸⁹"[tone];
+		},
+
+		/**
+		 * Lists the segments of an IPA string that are not in the current inventory
+		 * (consonants, vowels and, when enabled, tone markers). Slashes and spaces are ignored.
+		 */
+		findOutOfInventory(ipaStr) {
+			const inventory = this.getInventory();
+			const segments = this.tokenize(ipaStr.replace(/[/\sˈˌ.]/g, ""), inventory);
+			return [...new Set(segments.filter((segment) => !inventory.includes(segment)))];
+		},
+
+		// Distinctive-feature descriptions of IPA segments. Each word is a feature;
+		// derived features (labial, sonorant, ...) are filled in by getFeatures().
+		segmentDescriptions: {
+			p: "voiceless bilabial stop", b: "voiced bilabial stop", t: "voiceless alveolar stop",
+			d: "voiced alveolar stop", ʈ: "voiceless retroflex stop", ɖ: "voiced retroflex stop",
+			c: "voiceless palatal stop", ɟ: "voiced palatal stop", k: "voiceless velar stop",
+			g: "voiced velar stop", ɡ: "voiced velar stop", q: "voiceless uvular stop",
+			ɢ: "voiced uvular stop", ʔ: "voiceless glottal stop",
+			m: "voiced bilabial nasal", ɱ: "voiced labiodental nasal", n: "voiced alveolar nasal",
+			ɳ: "voiced retroflex nasal", ɲ: "voiced palatal nasal", ŋ: "voiced velar nasal",
+			ɴ: "voiced uvular nasal",
+			ʙ: "voiced bilabial trill", r: "voiced alveolar trill", ʀ: "voiced uvular trill",
+			ɾ: "voiced alveolar tap", ɽ: "voiced retroflex tap",
+			ɸ: "voiceless bilabial fricative", β: "voiced bilabial fricative",
+			f: "voiceless labiodental fricative", v: "voiced labiodental fricative",
+			θ: "voiceless dental fricative", ð: "voiced dental fricative",
+			s: "voiceless alveolar fricative", z: "voiced alveolar fricative",
+			ʃ: "voiceless postalveolar fricative", ʒ: "voiced postalveolar fricative",
+			ʂ: "voiceless retroflex fricative", ʐ: "voiced retroflex fricative",
+			ɕ: "voiceless alveolopalatal fricative", ʑ: "voiced alveolopalatal fricative",
+			ç: "voiceless palatal fricative", ʝ: "voiced palatal fricative",
+			x: "voiceless velar fricative", ɣ: "voiced velar fricative",
+			χ: "voiceless uvular fricative", ʁ: "voiced uvular fricative",
+			ħ: "voiceless pharyngeal fricative", ʕ: "voiced pharyngeal fricative",
+			h: "voiceless glottal fricative", ɦ: "voiced glottal fricative",
+			ɬ: "voiceless alveolar lateral fricative", ɮ: "voiced alveolar lateral fricative",
+			ʦ: "voiceless alveolar affricate", ts: "voiceless alveolar affricate",
+			ʣ: "voiced alveolar affricate", dz: "voiced alveolar affricate",
+			ʧ: "voiceless postalveolar affricate", tʃ: "voiceless postalveolar affricate",
+			ʤ: "voiced postalveolar affricate", dʒ: "voiced postalveolar affricate",
+			ʨ: "voiceless alveolopalatal affricate", tɕ: "voiceless alveolopalatal affricate",
+			ʥ: "voiced alveolopalatal affricate", dʑ: "voiced alveolopalatal affricate",
+			ʋ: "voiced labiodental approximant", ɹ: "voiced alveolar approximant",
+			ɻ: "voiced retroflex approximant", j: "voiced palatal approximant",
+			ɰ: "voiced velar approximant", w: "voiced labiovelar approximant",
+			l: "voiced alveolar lateral approximant", ɭ: "voiced retroflex lateral approximant",
+			ʎ: "voiced palatal lateral approximant", ʟ: "voiced velar lateral approximant",
+			i: "high front vowel", y: "high front round vowel", ɨ: "high central vowel",
+			ʉ: "high central round vowel", ɯ: "high back vowel", u: "high back round vowel",
+			ɪ: "high front lax vowel", ʏ: "high front round lax vowel", ʊ: "high back round lax vowel",
+			e: "mid front vowel", ø: "mid front round vowel", ə: "mid central vowel",
+			ɤ: "mid back vowel", o: "mid back round vowel", ɛ: "mid front lax vowel",
+			œ: "mid front round lax vowel", ɜ: "mid central lax vowel", ʌ: "mid back lax vowel",
+			ɔ: "mid back round lax vowel", æ: "low front vowel", ɶ: "low front round vowel",
+			a: "low central vowel", ɐ: "low central lax vowel", ɑ: "low back vowel",
+			ɒ: "low back round vowel",
+		},
+
+		// Diacritics that add a feature to the segment they follow.
+		featureDiacritics: {
+			"ː": "long", "ʰ": "aspirated", "ʷ": "labialized", "ʲ": "palatalized",
+			"ˤ": "pharyngealized", "̃": "nasal",
+		},
+
+		// Mutually exclusive values: setting one of them in a rewrite clears the others.
+		featureGroups: [
+			["bilabial", "labiodental", "dental", "alveolar", "postalveolar", "retroflex",
+				"alveolopalatal", "palatal", "velar", "labiovelar", "uvular", "pharyngeal", "glottal"],
+			["stop", "nasal", "fricative", "affricate", "approximant", "trill", "tap"],
+			["high", "mid", "low"],
+			["front", "central", "back"],
+		],
+
+		derivedFeatures: {
+			labial: ["bilabial", "labiodental", "labiovelar"],
+			coronal: ["dental", "alveolar", "postalveolar", "retroflex", "alveolopalatal"],
+			dorsal: ["alveolopalatal", "palatal", "velar", "labiovelar", "uvular"],
+			sonorant: ["nasal", "approximant", "trill", "tap", "vowel"],
+			continuant: ["fricative", "approximant", "trill", "vowel"],
+			obstruent: ["stop", "fricative", "affricate"],
+		},
+
+		_featureCache: new Map(),
+
+		/**
+		 * Base (non-derived) features of a segment, or null if it is not described.
+		 * Unknown multi-character segments are described by their base letter plus diacritics.
+		 */
+		_baseFeatures(segment) {
+			const description = this.segmentDescriptions[segment];
+			if (description) {
+				const features = new Set();
+				description.split(" ").forEach((word) => {
+					if (word === "voiced") features.add("voice");
+					else if (word !== "voiceless") features.add(word);
+				});
+				if (features.has("vowel")) features.add("voice");
+				else features.add("consonant");
+				return features;
 			}
+			const chars = Array.from(segment);
+			const last = chars.pop();
+			if (chars.length === 0 || !this.featureDiacritics[last]) return null;
+			const base = this._baseFeatures(chars.join(""));
+			if (!base) return null;
+			base.add(this.featureDiacritics[last]);
+			return base;
+		},
+
+		_withDerived(base) {
+			const features = new Set(base);
+			Object.entries(this.derivedFeatures).forEach(([derived, sources]) => {
+				if (sources.some((f) => base.has(f))) features.add(derived);
+			});
+			return features;
+		},
 
-			let finalWord = this.applyPhonologicalRules(word);
+		getFeatures(segment) {
+			if (!this._featureCache.has(segment)) {
+				const base = this._baseFeatures(segment);
+				this._featureCache.set(segment, base ? this._withDerived(base) : null);
+			}
+			return this._featureCache.get(segment);
+		},
 
-			if (tones.enabled) {
-				const tone = Math.floor(Math.random() * tones.count) + 1;
-				const toneMarker = String.fromCodePoint(0x2070 + tone);
-				finalWord += toneMarker;
+		/**
+		 * Parses a feature bundle such as "[+nasal]" or "[-voice, +stop]".
+		 * @returns {{ sign: string, name: string }[]|null} null when the text is not a bundle.
+		 */
+		parseFeatureBundle(text) {
+			const match = /^\[\s*([+-][\w-]+(?:\s*[,\s]\s*[+-][\w-]+)*)\s*\]$/.exec(text.trim());
+			if (!match) return null;
+			return match[1].split(/[\s,]+/).filter(Boolean).map((spec) => ({ sign: spec[0], name: spec.slice(1) }));
+		},
+
+		matchesBundle(segment, bundle) {
+			const features = this.getFeatures(segment);
+			if (!features) return false;
+			return bundle.every(({ sign, name }) => features.has(name) === (sign === "+"));
+		},
+
+		/**
+		 * Applies a feature-changing bundle (e.g. [+voice]) to a segment and returns the
+		 * segment with exactly those features, preferring the current inventory.
+		 * Returns the original segment when no such sound exists.
+		 */
+		changeFeatures(segment, bundle) {
+			const base = this._baseFeatures(segment);
+			if (!base) return segment;
+			bundle.forEach(({ sign, name }) => {
+				if (sign === "+") {
+					const group = this.featureGroups.find((g) => g.includes(name));
+					if (group) group.forEach((f) => base.delete(f));
+					base.add(name);
+				} else {
+					base.delete(name);
+				}
+			});
+			const { consonants, vowels } = languageState.phonology;
+			const candidates = [...consonants, ...vowels, ...Object.keys(this.segmentDescriptions)];
+			const sameFeatures = (other) => {
+				const otherBase = this._baseFeatures(other);
+				return otherBase && otherBase.size === base.size && [...base].every((f) => otherBase.has(f));
+			};
+			const found = candidates.find(sameFeatures);
+			if (found) return found;
+			// Sounds like kʷ are not listed themselves: change the base letter and keep the diacritic.
+			const chars = Array.from(segment);
+			const last = chars.pop();
+			if (chars.length > 0 && this.featureDiacritics[last]) {
+				const changedBase = this.changeFeatures(chars.join(""), bundle);
+				if (changedBase !== chars.join("")) return changedBase + last;
+			}
+			return segment;
+		},
+
+		/**
+		 * Resolves a class token used in rules: V, C, a user-defined class name, or a
+		 * feature bundle. Returns the list of inventory segments, or null if not a class.
+		 */
+		resolveClass(token, source = languageState.phonology) {
+			const { consonants, vowels } = source;
+			const { naturalClasses } = languageState.phonology;
+			const inventory = [...consonants, ...vowels];
+			const bundle = this.parseFeatureBundle(token);
+			if (bundle) return inventory.filter((segment) => this.matchesBundle(segment, bundle));
+			if (token === "V") return vowels;
+			if (token === "C") return consonants;
+			const custom = naturalClasses.find((c) => c.name === token);
+			if (!custom) return null;
+			const customBundle = this.parseFeatureBundle(custom.members);
+			if (customBundle) return inventory.filter((segment) => this.matchesBundle(segment, customBundle));
+			return custom.members.trim().split(/\s+/).filter(Boolean);
+		},
+
+		_escapeRegExp(str) {
+			return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		},
+
+		/**
+		 * Turns one side of a rule into regex source. Class tokens become alternations of
+		 * their segments (longest first so multigraphs win); everything else passes through
+		 * as regex text, as rules have always allowed. "#" marks the word boundary.
+		 */
+		_rulePattern(text, codec, boundary = "") {
+			return text.split(/(\[[^\]]*\]|[A-Z]|#)/).map((token, i) => {
+				if (i % 2 === 0) return codec.encode(token);
+				if (token === "#") return boundary || token;
+				const segments = this.resolveClass(token, codec.source);
+				if (!segments) return codec.encode(token);
+				if (segments.length === 0) return "(?!)";
+				return `(?:${segments.map((s) => this._escapeRegExp(codec.encode(s))).join("|")})`;
+			}).join("");
+		},
+
+		/**
+		 * Maps every inventory segment to one private-use character so that rule regexes
+		 * treat multigraphs as single segments and never match half of one.
+		 */
+		_segmentCodec(source = languageState.phonology) {
+			const inventory = this.getInventory(source);
+			const toCode = new Map();
+			const fromCode = new Map();
+			inventory.forEach((segment, i) => {
+				const code = String.fromCharCode(0xe000 + i);
+				toCode.set(segment, code);
+				fromCode.set(code, segment);
+			});
+			return {
+				source,
+				encode: (str) => this.tokenize(str, inventory).map((t) => toCode.get(t) || t).join(""),
+				decode: (str) => Array.from(str).map((c) => fromCode.get(c) || c).join(""),
+			};
+		},
+
+		/**
+		 * Builds the global regex for "match / context" over a codec-encoded word.
+		 * Throws on invalid rule syntax.
+		 */
+		buildRuleRegex(match, context, codec) {
+			if (context.includes("_")) {
+				const [before, after] = context.split("_");
+				const regexBefore = before ? `(?<=${this._rulePattern(before, codec, "^")})` : "";
+				const regexAfter = after ? `(?=${this._rulePattern(after, codec, "$")})` : "";
+				return new RegExp(`${regexBefore}${this._rulePattern(match, codec)}${regexAfter}`, "g");
 			}
-			return finalWord;
+			return new RegExp(this._rulePattern(match, codec), "g");
+		},
+
+		/**
+		 * Runs the rule list over a word. When `stats` (an array, one slot per rule) is
+		 * given, each slot records how often the rule fired, which out-of-inventory
+		 * segments it introduced and its syntax error, if any.
+		 */
+		applyPhonologicalRules(word, stats = null) {
+			return this.applyRules(word, languageState.phonology.phonologicalRules, stats);
 		},
 
-		applyPhonologicalRules(word) {
+		/**
+		 * Runs any list of rules in the phonological rule syntax. `source` supplies the
+		 * inventory that segments and V/C are read against (see getInventory).
+		 */
+		applyRules(word, rules, stats = null, source = languageState.phonology) {
+			const codec = this._segmentCodec(source);
 			let newWord = word;
-			const { vowels, consonants } = languageState.phonology;
-			// CHANGE: Create vowel and consonant class strings for regex once.
-			const vClass = `[${vowels.join("")}]`;
-			const cClass = `[${consonants.join("")}]`;
 
-			languageState.phonology.phonologicalRules.forEach((rule) => {
+			rules.forEach((rule, i) => {
+				const stat = stats && (stats[i] = stats[i] || { fired: 0, outOfInventory: new Set(), error: null });
 				try {
-					const [match, replacement] = rule.from.split(">").map((s) => s.trim());
-					const context = rule.to;
-					let regex;
-					if (context.includes("_")) {
-						const [before, after] = context.split("_");
-						// CHANGE: Use global replacement for V and C in contexts to handle cases like V_V.
-						const regexBefore = before ? `(?<=${before.replace(/V/g, vClass).replace(/C/g, cClass)})` : "";
-						const regexAfter = after ? `(?=${after.replace(/V/g, vClass).replace(/C/g, cClass)})` : "";
-						regex = new RegExp(`${regexBefore}${match}${regexAfter}`, "g");
-					} else {
-						regex = new RegExp(match, "g");
+					if (!rule.from.includes(">")) throw new Error(`Rule "${rule.from}" has no ">"`);
+					const [match, replacement = ""] = rule.from.split(">").map((s) => s.trim());
+					const regex = this.buildRuleRegex(match, rule.to, codec);
+					const bundle = this.parseFeatureBundle(replacement);
+					// Rules that do not mention ˈ see the word without stress marks, so the mark
+					// never blocks a context; it is put back on the same syllable afterwards.
+					const hideStress = newWord.includes(this.STRESS_MARK) && !(rule.from + rule.to).includes(this.STRESS_MARK);
+					const nucleus = hideStress ? this.stressedNucleus(newWord) : 0;
+					const encoded = codec.encode(hideStress ? newWord.split(this.STRESS_MARK).join("") : newWord);
+					const result = codec.decode(bundle
+						? encoded.replace(regex, (segment) => codec.encode(this.changeFeatures(codec.decode(segment), bundle)))
+						: encoded.replace(regex, codec.encode(replacement)));
+					const previous = newWord;
+					newWord = hideStress ? this.markStress(result, nucleus) : result;
+					if (stat && newWord !== previous) {
+						stat.fired++;
+						const alreadyForeign = this.findOutOfInventory(previous);
+						this.findOutOfInventory(newWord).filter((s) => !alreadyForeign.includes(s)).forEach((s) => stat.outOfInventory.add(s));
 					}
-					newWord = newWord.replace(regex, replacement);
 				} catch (e) {
-					console.error("Invalid phonological rule:", rule, e);
+					if (stat) stat.error = e.message;
+					else console.error("Invalid phonological rule:", rule, e);
 				}
 			});
 			return newWord;
 		},
 
-		sourceLoanwords: [
-			"computer", "internet", "phone", "radio", "television", "music", "art",
-			"game", "food", "water",
-		],
+		/**
+		 * Checks a rule's syntax. @returns {string|null} an error message, or null if valid.
+		 */
+		validateRule(rule) {
+			if (!rule.from.includes(">")) return "「変化前 > 変化後」の形式で入力してください。";
+			const [match] = rule.from.split(">").map((s) => s.trim());
+			if (!match) return "変化前の音が空です。";
+			try {
+				this.buildRuleRegex(match, rule.to, this._segmentCodec());
+			} catch (e) {
+				return `構文エラー: ${e.message}`;
+			}
+			return null;
+		},
+
+		// Spelling-to-sound correspondences for donor words given without IPA, tuned to
+		// English spelling. Digraphs win over single letters because tokenize prefers longer matches.
+		GRAPHEMES: {
+			sh: ["ʃ"], ch: ["tʃ"], th: ["θ"], ph: ["f"], ng: ["ŋ"], ck: ["k"], qu: ["k", "w"], wh: ["w"], gh: ["g"],
+			a: ["a"], b: ["b"], c: ["k"], d: ["d"], e: ["e"], f: ["f"], g: ["g"], h: ["h"], i: ["i"], j: ["dʒ"],
+			k: ["k"], l: ["l"], m: ["m"], n: ["n"], o: ["o"], p: ["p"], q: ["k"], r: ["r"], s: ["s"], t: ["t"],
+			u: ["u"], v: ["v"], w: ["w"], x: ["k", "s"], y: ["j"], z: ["z"],
+		},
+
+		/**
+		 * Guesses the phonemes of a written donor word: digraphs first, doubled
+		 * consonants and a final silent "e" count once or not at all, "c" softens
+		 * before e/i/y and "y" is a vowel unless a vowel follows.
+		 */
+		spellingToPhonemes(word) {
+			const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+			const spelled = /..[^aeiou]e$/.test(letters) ? letters.slice(0, -1) : letters;
+			const graphemes = this.tokenize(spelled, Object.keys(this.GRAPHEMES));
+			const phonemes = [];
+			graphemes.forEach((grapheme, i) => {
+				const next = graphemes[i + 1] || "";
+				if (grapheme === graphemes[i - 1] && !/[aeiou]/.test(grapheme)) return;
+				if (grapheme === "c" && /^[eiy]/.test(next)) phonemes.push("s");
+				else if (grapheme === "y" && !/^[aeiou]/.test(next)) phonemes.push("i");
+				else phonemes.push(...(this.GRAPHEMES[grapheme] || []));
+			});
+			return phonemes;
+		},
+
+		/**
+		 * The candidate sharing the most features with a segment (fewest features
+		 * differing either way), or null when the segment has no known features.
+		 */
+		nearestPhoneme(segment, candidates) {
+			if (candidates.includes(segment)) return segment;
+			const features = this.getFeatures(segment);
+			if (!features) return null;
+			let best = null;
+			let bestDistance = Infinity;
+			candidates.forEach((candidate) => {
+				const other = this.getFeatures(candidate);
+				if (!other) return;
+				const distance = [...features].filter((f) => !other.has(f)).length + [...other].filter((f) => !features.has(f)).length;
+				if (distance < bestDistance) {
+					best = candidate;
+					bestDistance = distance;
+				}
+			});
+			return best;
+		},
 
-		_findClosestSound(sound, candidates, inventory) {
-			for (const candidate of candidates) {
-				if (inventory.includes(candidate)) {
-					return candidate;
+		/**
+		 * Breaks up consonant runs the syllable structures cannot hold, either by giving
+		 * the extra consonants an epenthetic vowel or by deleting them. Runs keep as
+		 * many consonants as the longest onset and coda (and maxCluster) allow.
+		 */
+		repairClusters(segments, strategy = "epenthesis") {
+			const { vowels, syllableStructures, prosody } = languageState.phonology;
+			const longest = (pattern) => Math.max(0, ...syllableStructures.map((structure) => pattern.exec(structure)[0].length));
+			const maxOnset = longest(/^C*/);
+			const maxCoda = longest(/C*$/);
+			const epenthetic = ["ə", "ɨ", "u", "i"].find((v) => vowels.includes(v)) || vowels[0];
+			const result = [];
+			let run = [];
+			const flush = (initial, final) => {
+				const onset = final ? 0 : maxOnset;
+				let coda = initial ? 0 : maxCoda;
+				if (!initial && !final) coda = Math.max(0, Math.min(coda, prosody.maxCluster - onset));
+				if (run.length <= coda + onset) {
+					result.push(...run);
+				} else {
+					result.push(...run.slice(0, coda));
+					if (strategy === "epenthesis") run.slice(coda, run.length - onset).forEach((c) => result.push(c, epenthetic));
+					result.push(...run.slice(run.length - onset));
+				}
+				run = [];
+			};
+			segments.forEach((segment) => {
+				if (!vowels.includes(segment)) {
+					run.push(segment);
+					return;
 				}
+				flush(result.length === 0, false);
+				result.push(segment);
+			});
+			flush(result.length === 0, true);
+			return result;
+		},
+
+		/**
+		 * Adapts a donor word to the current phonology: its phonemes (from the given IPA,
+		 * or guessed from the spelling) are replaced by the nearest sounds in the
+		 * inventory, and clusters the syllable structures forbid are repaired.
+		 * @param {{ word: string, ipa?: string }} source
+		 * @returns {string} the adapted IPA, or "" if nothing could be kept
+		 */
+		assimilate(source, strategy = "epenthesis") {
+			const { consonants, vowels } = languageState.phonology;
+			if (consonants.length === 0 || vowels.length === 0) return "";
+			const ipa = (source.ipa || "").replace(/[/\[\]ˈˌ.]/g, "");
+			const donor = ipa
+				? this.tokenize(ipa, [...Object.keys(this.segmentDescriptions), ...consonants, ...vowels])
+				: this.spellingToPhonemes(source.word);
+			const adapted = donor
+				.map((segment) => {
+					const features = this.getFeatures(segment);
+					const isVowel = vowels.includes(segment) || Boolean(features && features.has("vowel"));
+					return this.nearestPhoneme(segment, isVowel ? vowels : consonants);
+				})
+				.filter(Boolean);
+			return this.repairClusters(adapted, strategy).join("");
+		},
+	};
+
+	/**
+	 * Orthography Module: Named spelling schemes that turn IPA into written forms.
+	 * Each scheme maps phonemes to graphemes and may add context-sensitive spelling rules
+	 * written like phonological rules (e.g. "k > qu" / "_[+front]").
+	 */
+	const Orthography = {
+		createDefault() {
+			return { primary: 0, schemes: [this.createScheme("ラテン文字", true)] };
+		},
+
+		createScheme(name, inheritDefaults = false) {
+			return { name, inheritDefaults, map: {}, rules: [] };
+		},
+
+		getPrimary() {
+			const { schemes, primary } = languageState.orthography;
+			return schemes[primary] || schemes[0];
+		},
+
+		// Built-in Latin spelling, used only by schemes that inherit defaults.
+		_defaultGrapheme(segment) {
+			const map = Phonology.ipaToRomanMap;
+			if (map[segment] !== undefined) return map[segment];
+			let spelled = "";
+			for (const char of segment) {
+				if (char === "ː" && spelled) spelled += spelled.slice(-1); // Long segments are doubled
+				else if (map[char] !== undefined) spelled += map[char];
+				else return undefined;
 			}
-			return inventory.length > 0 ? inventory[0] : "";
+			return spelled;
 		},
 
-		assimilate(word) {
+		graphemeFor(segment, scheme) {
+			if (scheme.map[segment] !== undefined) return scheme.map[segment];
+			if (segment === Phonology.STRESS_MARK) return ""; // Unwritten unless the scheme maps it
+			const fallback = scheme.inheritDefaults ? this._defaultGrapheme(segment) : undefined;
+			return fallback !== undefined ? fallback : segment;
+		},
+
+		/**
+		 * Inventory segments the scheme cannot spell; they would leak into the text as IPA.
+		 */
+		unmapped(scheme) {
+			return Phonology.getInventory().filter((segment) =>
+				scheme.map[segment] === undefined
+				&& !(scheme.inheritDefaults && this._defaultGrapheme(segment) !== undefined));
+		},
+
+		/**
+		 * The consonants and vowels in the scheme's alphabetical order: segments sort by
+		 * their graphemes, so a digraph such as "ch" is a letter of its own after "c".
+		 */
+		alphabet(scheme = this.getPrimary()) {
 			const { consonants, vowels } = languageState.phonology;
-			if (consonants.length === 0 || vowels.length === 0) return word;
-			const soundMap = {
-				p: this._findClosestSound("p", ["p", "b", "f"], consonants),
-				b: this._findClosestSound("b", ["b", "p", "v"], consonants),
-				t: this._findClosestSound("t", ["t", "d", "s"], consonants),
-				d: this._findClosestSound("d", ["d", "t", "z"], consonants),
-				k: this._findClosestSound("k", ["k", "g", "h", "x"], consonants),
-				c: this._findClosestSound("k", ["k", "g", "s"], consonants),
-				g: this._findClosestSound("g", ["g", "k", "ʤ"], consonants),
-				f: this._findClosestSound("f", ["f", "p", "v"], consonants),
-				v: this._findClosestSound("v", ["v", "b", "f"], consonants),
-				s: this._findClosestSound("s", ["s", "z", "t", "ʃ"], consonants),
-				z: this._findClosestSound("z", ["z", "s", "d"], consonants),
-				m: this._findClosestSound("m", ["m", "n"], consonants),
-				n: this._findClosestSound("n", ["n", "m", "ŋ"], consonants),
-				l: this._findClosestSound("l", ["l", "r", "j"], consonants),
-				r: this._findClosestSound("r", ["r", "l", "d"], consonants),
-				h: this._findClosestSound("h", ["h"], consonants),
-				j: this._findClosestSound("ʤ", ["ʤ", "g", "z"], consonants),
-				y: this._findClosestSound("j", ["j", "i"], [...consonants, ...vowels]),
-				w: this._findClosestSound("w", ["w", "u"], [...consonants, ...vowels]),
-				q: this._findClosestSound("k", ["k", "g"], consonants),
-				x: this._findClosestSound("s", ["s", "z"], consonants),
-				a: this._findClosestSound("a", ["a", "e", "o"], vowels),
-				e: this._findClosestSound("e", ["e", "i", "a"], vowels),
-				i: this._findClosestSound("i", ["i", "e", "u"], vowels),
-				o: this._findClosestSound("o", ["o", "u", "a"], vowels),
-				u: this._findClosestSound("u", ["u", "o", "i"], vowels),
-			};
-			return Array.from(word.toLowerCase())
-				.map((char) => soundMap[char] || "")
-				.join("");
+			return [...new Set([...consonants, ...vowels])]
+				.map((segment) => ({ segment, grapheme: this.graphemeFor(segment, scheme) }))
+				.sort((a, b) => a.grapheme.localeCompare(b.grapheme) || a.segment.localeCompare(b.segment))
+				.map(({ segment }) => segment);
+		},
+
+		/**
+		 * A copy of the entries in the language's own alphabetical order, compared letter
+		 * by letter on their IPA. Tones and stress are ignored; unknown segments sort last.
+		 */
+		sortWords(words, scheme = this.getPrimary()) {
+			const alphabet = this.alphabet(scheme);
+			const rank = new Map(alphabet.map((segment, i) => [segment, i]));
+			const toneMarkers = new Set(Phonology.getInventory().filter((segment) => !rank.has(segment)));
+			const keyOf = (word) => Phonology.tokenize(word.ipa.replace(/[/ˈˌ]/g, ""))
+				.filter((segment) => !toneMarkers.has(segment))
+				.map((segment) => (rank.has(segment) ? rank.get(segment) : alphabet.length));
+			const keyed = words.map((word) => ({ word, key: keyOf(word) }));
+			keyed.sort((a, b) => {
+				for (let i = 0; i < Math.min(a.key.length, b.key.length); i++) {
+					if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+				}
+				return a.key.length - b.key.length || a.word.meaning.localeCompare(b.word.meaning);
+			});
+			return keyed.map(({ word }) => word);
+		},
+
+		spell(ipaStr, scheme = this.getPrimary()) {
+			const codec = Phonology._segmentCodec();
+			const outputs = [];
+			let encoded = codec.encode(ipaStr);
+			scheme.rules.forEach((rule) => {
+				try {
+					const [match, grapheme = ""] = rule.from.split(">").map((s) => s.trim());
+					const regex = Phonology.buildRuleRegex(match, rule.to, codec);
+					// Rule output is parked in a second private-use range so later rules and
+					// the phoneme map never respell it.
+					encoded = encoded.replace(regex, () => {
+						outputs.push(grapheme);
+						return String.fromCharCode(0xf000 + outputs.length - 1);
+					});
+				} catch (e) {
+					console.error("Invalid spelling rule:", rule, e);
+				}
+			});
+			return encoded.replace(/[\uf000-\uf8ff]|[^\uf000-\uf8ff]+/g, (chunk) => {
+				const code = chunk.charCodeAt(0);
+				if (code >= 0xf000) return outputs[code - 0xf000];
+				return Phonology.tokenize(codec.decode(chunk)).map((segment) => this.graphemeFor(segment, scheme)).join("");
+			});
 		},
 	};
 
@@ -208,14 +978,20 @@
 		semanticFieldMap: {
 			自然: "nature", 動物: "animals", 感情: "emotions", 行動: "actions",
 			道具: "tools", 社会: "society", 思考: "concepts", 身体: "body",
-			食物: "food", 場所: "places",
+			食物: "food", 場所: "places", 性質: "qualities",
+			スワデシュ: "swadesh", ライプツィヒ・ジャカルタ: "leipzigJakarta",
 		},
 
+		// Fields whose lists are ranked, most basic first; prioritized generation takes them in order.
+		RANKED_FIELDS: ["leipzigJakarta"],
+
+		// Built-in meanings by field. A meaning may override its field's defaults with
+		// tags after a colon, e.g. "think:intransitive+complement" (see TAGS).
 		SemanticDictionary: {
 			nature: [
 				"sun", "moon", "star", "sky", "earth", "sea", "river", "mountain", "tree",
-				"flower", "rain", "wind", "snow", "fire", "water", "stone", "cloud",
-				"forest", "desert", "island", "valley", "lightning", "sand"
+				"flower", "rain:mass", "wind", "snow:mass", "fire:mass", "water:mass", "stone", "cloud",
+				"forest", "desert", "island", "valley", "lightning:mass", "sand:mass"
 			],
 			animals: [
 				"dog", "cat", "bird", "fish", "horse", "bear", "wolf", "lion", "tiger",
@@ -223,14 +999,15 @@
 				"monkey", "deer", "fox", "rabbit", "bee", "butterfly"
 			],
 			emotions: [
-				"love", "hate", "joy", "sadness", "anger", "fear", "surprise", "hope",
-				"pride", "shame", "calm", "anxiety", "courage", "desire", "trust",
+				"love", "hate", "joy", "sadness", "anger", "fear", "surprise:count", "hope",
+				"pride", "shame", "calm", "anxiety", "courage", "desire:count", "trust",
 				"pity", "envy", "gratitude", "guilt", "curiosity"
 			],
 			actions: [
-				"go", "come", "eat", "drink", "sleep", "see", "hear", "speak", "run",
-				"walk", "give", "take", "make", "do", "know", "think", "love", "work",
-				"play", "sing", "die", "live", "fight", "read", "write"
+				"go:intransitive", "come:intransitive", "eat", "drink", "sleep:intransitive", "see:complement",
+				"hear:complement", "speak:intransitive", "run:intransitive", "walk:intransitive", "give:ditransitive",
+				"take", "make", "do", "know:complement", "think:intransitive+complement", "love", "work:intransitive",
+				"play:intransitive", "sing", "die:intransitive", "live:intransitive", "fight", "read", "write:complement"
 			],
 			tools: [
 				"knife", "hammer", "axe", "rope", "wheel", "boat", "net", "needle",
@@ -238,66 +1015,434 @@
 				"clock", "mirror", "lamp", "plow", "cart", "bridge", "road"
 			],
 			society: [
-				"person", "man", "woman", "child", "family", "king", "queen", "law",
-				"war", "peace", "city", "house", "village", "god", "money", "art",
-				"music", "story", "name", "word", "language", "friend", "enemy", "chief"
+				"person:animate", "man:animate", "woman:animate", "child:animate", "family:animate", "king:animate",
+				"queen:animate", "law", "war", "peace:mass", "city", "house", "village", "god:animate", "money:mass",
+				"art:mass", "music:mass", "story", "name", "word", "language", "friend:animate", "enemy:animate", "chief:animate"
 			],
 			concepts: [
-				"time", "space", "life", "death", "good", "evil", "truth", "lie",
-				"beauty", "power", "knowledge", "freedom", "justice", "luck", "dream",
-				"soul", "mind", "idea", "change", "order", "chaos", "number"
+				"time", "space", "life", "death", "good", "evil", "truth", "lie:count",
+				"beauty", "power", "knowledge", "freedom", "justice", "luck", "dream:count",
+				"soul:count", "mind:count", "idea:count", "change:count", "order", "chaos", "number:count"
 			],
 			body: [
 				"head", "face", "eye", "ear", "nose", "mouth", "hand", "foot", "heart",
-				"blood", "bone", "skin", "hair", "voice", "leg", "arm", "finger", "tooth"
+				"blood:mass", "bone", "skin:mass", "hair:mass", "voice", "leg", "arm", "finger", "tooth"
 			],
 			food: [
-				"bread", "meat", "fruit", "seed", "salt", "honey", "milk", "egg",
-				"root", "leaf", "berry", "grain", "wine", "oil", "cheese", "herb"
+				"bread:mass", "meat:mass", "fruit", "seed", "salt:mass", "honey:mass", "milk:mass", "egg",
+				"root", "leaf", "berry", "grain:mass", "wine:mass", "oil:mass", "cheese:mass", "herb"
 			],
 			places: [
 				"home", "market", "temple", "field", "cave", "port", "castle",
 				"tower", "wall", "gate", "tomb", "throne", "garden", "lake", "shore"
 			],
+			qualities: [
+				"big", "small", "long", "short", "old", "new", "young", "hot", "cold", "good",
+				"bad", "strong", "weak", "fast", "slow", "heavy", "dark", "bright", "red",
+				"white", "black", "green", "beautiful", "sweet"
+			],
+			// The Swadesh 207-word list, in its usual order.
+			swadesh: [
+				"I:pronoun+animate", "you:pronoun+animate", "he:pronoun+animate", "we:pronoun+animate",
+				"you (plural):pronoun+animate", "they:pronoun+animate", "this:pronoun", "that:pronoun",
+				"here:adverb", "there:adverb", "who:pronoun+animate", "what:pronoun", "where:adverb", "when:adverb",
+				"how:adverb", "not:adverb", "all:adjective", "many:adjective", "some:adjective", "few:adjective",
+				"other:adjective", "one:numeral", "two:numeral", "three:numeral", "four:numeral", "five:numeral",
+				"big:adjective", "long:adjective", "wide:adjective", "thick:adjective", "heavy:adjective",
+				"small:adjective", "short:adjective", "narrow:adjective", "thin:adjective",
+				"woman:animate", "man:animate", "person:animate", "child:animate", "wife:animate", "husband:animate",
+				"mother:animate", "father:animate", "animal:animate", "fish:animate", "bird:animate", "dog:animate",
+				"louse:animate", "snake:animate", "worm:animate", "tree", "forest", "stick", "fruit", "seed", "leaf",
+				"root", "bark:mass", "flower", "grass:mass", "rope", "skin:mass", "meat:mass", "blood:mass", "bone",
+				"fat:mass", "egg", "horn", "tail", "feather", "hair:mass", "head", "ear", "eye", "nose", "mouth",
+				"tooth", "tongue", "fingernail", "foot", "leg", "knee", "hand", "wing", "belly", "guts:mass", "neck",
+				"back", "breast", "heart", "liver",
+				"drink:verb", "eat:verb", "bite:verb", "suck:verb", "spit:verb+intransitive", "vomit:verb+intransitive",
+				"blow:verb+intransitive", "breathe:verb+intransitive", "laugh:verb+intransitive",
+				"see:verb+complement", "hear:verb+complement", "know:verb+complement",
+				"think:verb+intransitive+complement", "smell:verb", "fear:verb", "sleep:verb+intransitive",
+				"live:verb+intransitive", "die:verb+intransitive", "kill:verb", "fight:verb", "hunt:verb", "hit:verb",
+				"cut:verb", "split:verb", "stab:verb", "scratch:verb", "dig:verb+intransitive", "swim:verb+intransitive",
+				"fly:verb+intransitive", "walk:verb+intransitive", "come:verb+intransitive", "lie down:verb+intransitive",
+				"sit:verb+intransitive", "stand:verb+intransitive", "turn:verb+intransitive", "fall:verb+intransitive",
+				"give:verb+ditransitive", "hold:verb", "squeeze:verb", "rub:verb", "wash:verb", "wipe:verb", "pull:verb",
+				"push:verb", "throw:verb", "tie:verb", "sew:verb", "count:verb", "say:verb+complement", "sing:verb",
+				"play:verb+intransitive", "float:verb+intransitive", "flow:verb+intransitive", "freeze:verb+intransitive",
+				"swell:verb+intransitive",
+				"sun", "moon", "star", "water:mass", "rain:mass", "river", "lake", "sea", "salt:mass", "stone",
+				"sand:mass", "dust:mass", "earth:mass", "cloud", "fog:mass", "sky", "wind", "snow:mass", "ice:mass",
+				"smoke:mass", "fire:mass", "ash:mass", "burn:verb+intransitive", "road", "mountain",
+				"red:adjective", "green:adjective", "yellow:adjective", "white:adjective", "black:adjective",
+				"night", "day", "year", "warm:adjective", "cold:adjective", "full:adjective", "new:adjective",
+				"old:adjective", "good:adjective", "bad:adjective", "rotten:adjective", "dirty:adjective",
+				"straight:adjective", "round:adjective", "sharp:adjective", "dull:adjective", "smooth:adjective",
+				"wet:adjective", "dry:adjective", "correct:adjective", "near:adjective", "far:adjective",
+				"right:adjective", "left:adjective", "at:adposition", "in:adposition", "with:adposition",
+				"and:conjunction", "if:conjunction", "because:conjunction", "name",
+			],
+			// The Leipzig-Jakarta list of 100 borrowing-resistant meanings, most stable first.
+			leipzigJakarta: [
+				"fire:mass", "nose", "go:verb+intransitive", "water:mass", "mouth", "tongue", "blood:mass", "bone",
+				"you:pronoun+animate", "root", "come:verb+intransitive", "breast", "rain:mass", "I:pronoun+animate",
+				"name", "louse:animate", "wing", "meat:mass", "hand", "housefly:animate", "night", "ear", "neck",
+				"far:adjective", "make:verb", "house", "stone", "bitter:adjective", "say:verb+complement", "tooth",
+				"hair:mass", "big:adjective", "one:numeral", "who:pronoun+animate", "he:pronoun+animate", "hit:verb",
+				"leg", "horn", "this:pronoun", "fish:animate", "yesterday:adverb", "drink:verb", "black:adjective",
+				"navel", "stand:verb+intransitive", "bite:verb", "back", "wind", "smoke:mass", "what:pronoun",
+				"child:animate", "egg", "give:verb+ditransitive", "new:adjective", "burn:verb+intransitive",
+				"not:adverb", "good:adjective", "know:verb+complement", "knee", "sand:mass", "laugh:verb+intransitive",
+				"hear:verb+complement", "soil:mass", "leaf", "red:adjective", "liver", "hide:verb", "skin:mass",
+				"suck:verb", "carry:verb", "ant:animate", "heavy:adjective", "take:verb", "old:adjective", "eat:verb",
+				"thigh", "thick:adjective", "long:adjective", "blow:verb+intransitive", "wood:mass",
+				"run:verb+intransitive", "fall:verb+intransitive", "eye", "ash:mass", "tail", "dog:animate",
+				"cry:verb+intransitive", "tie:verb", "see:verb+complement", "sweet:adjective", "rope", "shadow",
+				"bird:animate", "salt:mass", "small:adjective", "wide:adjective", "star", "in:adposition",
+				"hard:adjective", "grind:verb",
+			],
+		},
+
+		// Tags every meaning of a field starts from.
+		FIELD_DEFAULTS: {
+			nature: ["noun", "inanimate", "count"],
+			animals: ["noun", "animate", "count"],
+			emotions: ["noun", "inanimate", "mass"],
+			actions: ["verb", "transitive"],
+			tools: ["noun", "inanimate", "count"],
+			society: ["noun", "inanimate", "count"],
+			concepts: ["noun", "inanimate", "mass"],
+			body: ["noun", "inanimate", "count"],
+			food: ["noun", "inanimate", "count"],
+			places: ["noun", "inanimate", "count"],
+			qualities: ["adjective"],
+			swadesh: ["noun", "inanimate", "count"],
+			leipzigJakarta: ["noun", "inanimate", "count"],
+		},
+
+		// What each tag sets on an entry. Tags that do not fit the part of speech are dropped.
+		TAGS: {
+			noun: { pos: "noun" }, verb: { pos: "verb" }, adjective: { pos: "adjective" },
+			pronoun: { pos: "pronoun" }, numeral: { pos: "numeral" }, adverb: { pos: "adverb" },
+			adposition: { pos: "adposition" }, conjunction: { pos: "conjunction" },
+			intransitive: { valency: 1 }, transitive: { valency: 2 }, ditransitive: { valency: 3 },
+			complement: { complement: true },
+			animate: { animate: true }, inanimate: { animate: false },
+			count: { countable: true }, mass: { countable: false },
+		},
+
+		// Argument metadata each part of speech carries, with its default values.
+		ARGUMENT_DEFAULTS: {
+			noun: { animate: false, countable: true },
+			verb: { valency: 2, complement: false },
+		},
+
+		// Registers a synonym can be marked with; unmarked entries are neutral.
+		REGISTERS: { formal: "改まった", colloquial: "口語", poetic: "雅語", archaic: "古語" },
+
+		// Common colexifications: a meaning on the left may extend to the senses on the
+		// right (tagged like field meanings when they change part of speech).
+		SEMANTIC_EXTENSIONS: {
+			sun: ["day"], moon: ["month"], hand: ["arm", "five:numeral"], foot: ["leg"],
+			tree: ["wood:mass"], fire: ["firewood:mass"], sky: ["heaven", "weather:mass"],
+			earth: ["soil:mass", "land:mass"], head: ["chief:animate", "top"], tongue: ["language"],
+			skin: ["bark:mass"], hair: ["feather"], man: ["husband:animate"], woman: ["wife:animate"],
+			house: ["home"], hear: ["understand:verb+complement"], see: ["know:verb+complement"],
+			good: ["beautiful:adjective"], big: ["important:adjective"], strong: ["hard:adjective"],
+			leaf: ["page"], wind: ["breath:mass", "spirit"], heart: ["mind"], road: ["way"],
+			night: ["darkness:mass"], eye: ["spring"], seed: ["grain:mass"], child: ["son:animate"],
+			blood: ["family:animate"], mouth: ["door"],
+		},
+
+		// Reads donor words written one per line as "word" or "word /ipa/".
+		parseLoanSources(text) {
+			return text.split("\n").map((line) => line.trim()).filter(Boolean).map((line) => {
+				const match = line.match(/^(.*?)\s*\/([^/]*)\/$/);
+				return match ? { word: match[1].trim(), ipa: match[2].trim() } : { word: line, ipa: "" };
+			}).filter((source) => source.word);
+		},
+
+		formatLoanSources(words) {
+			return words.map((source) => (source.ipa ? `${source.word} /${source.ipa}/` : source.word)).join("\n");
+		},
+
+		// Splits "meaning:tag+tag" into the meaning and its tags (commas and spaces also separate tags).
+		parseMeaning(spec) {
+			const [meaning, tags = ""] = spec.split(":");
+			return { meaning: meaning.trim(), tags: tags.toLowerCase().split(/[\s,+]+/).filter(Boolean) };
+		},
+
+		/**
+		 * Sets an entry's part of speech and argument metadata from tags, filling in
+		 * defaults and removing fields that do not belong to its part of speech.
+		 * Unknown tags are ignored.
+		 */
+		applyTags(word, tags) {
+			const values = Object.assign({}, ...tags.map((tag) => this.TAGS[tag] || {}));
+			if (values.pos) word.pos = values.pos;
+			["valency", "complement", "animate", "countable"].forEach((key) => delete word[key]);
+			Object.entries(this.ARGUMENT_DEFAULTS[word.pos] || {}).forEach(([key, fallback]) => {
+				word[key] = key in values ? values[key] : fallback;
+			});
+			return word;
+		},
+
+		// The entry as each of its senses, the primary one first: copies carrying the sense's
+		// meaning, part of speech and argument metadata, so they inflect like entries.
+		readingsOf(word) {
+			return [word, ...(word.senses || []).map((sense) =>
+				Object.assign(this.applyTags({ ...word, pos: sense.pos }, []), sense))];
+		},
+
+		// All of an entry's meanings for display, e.g. "sun; day".
+		glossOf(word) {
+			return [word.meaning, ...(word.senses || []).map((sense) => sense.meaning)].join("; ");
+		},
+
+		// Register and dialect labels of an entry, e.g. "雅語, 北部方言".
+		usageOf(word) {
+			return [word.register ? this.REGISTERS[word.register] : "", word.dialect ? `${word.dialect}方言` : ""].filter(Boolean).join(", ");
+		},
+
+		// Extra senses written "day, five:numeral"; a sense keeps the entry's part of
+		// speech unless its tags give another.
+		parseSenses(text, pos) {
+			return text.split(/[,;]/).map((spec) => this.parseMeaning(spec)).filter((parsed) => parsed.meaning)
+				.map(({ meaning, tags }) => this.applyTags({ meaning, pos }, [...(this.builtInTags(meaning) || []).filter((tag) => !this.TAGS[tag].pos), ...tags]));
+		},
+
+		formatSenses(word) {
+			return (word.senses || []).map((sense) => {
+				const defaults = this.tagsOf(this.applyTags({ pos: sense.pos }, []));
+				const tags = [...(sense.pos !== word.pos ? [sense.pos] : []), ...this.tagsOf(sense).filter((tag) => !defaults.includes(tag))];
+				return tags.length > 0 ? `${sense.meaning}:${tags.join("+")}` : sense.meaning;
+			}).join(", ");
+		},
+
+		// The argument tags describing an entry, without its part of speech.
+		tagsOf(word) {
+			if (word.pos === "noun") return [word.animate ? "animate" : "inanimate", word.countable === false ? "mass" : "count"];
+			if (word.pos === "verb") return [["intransitive", "transitive", "ditransitive"][(word.valency || 2) - 1], ...(word.complement ? ["complement"] : [])];
+			return [];
+		},
+
+		// Tags of a built-in meaning (optionally only as the given part of speech), field
+		// defaults included, or null if there is none.
+		builtInTags(meaning, pos = null) {
+			for (const [field, specs] of Object.entries(this.SemanticDictionary)) {
+				const found = specs.map((spec) => this.parseMeaning(spec)).find((parsed) => parsed.meaning === meaning);
+				const tags = found ? [...this.FIELD_DEFAULTS[field], ...found.tags] : null;
+				if (tags && (!pos || tags.includes(pos))) return tags;
+			}
+			return null;
+		},
+
+		// New meanings expressed as compounds of built-in ones: [modifier, head].
+		CALQUES: {
+			volcano: ["fire", "mountain"], rainbow: ["rain", "bow"], sunflower: ["sun", "flower"],
+			starfish: ["star", "fish"], catfish: ["cat", "fish"], swordfish: ["sword", "fish"],
+			seahorse: ["sea", "horse"], honeymoon: ["honey", "moon"], firearm: ["fire", "arm"],
+			footbridge: ["foot", "bridge"], handbook: ["hand", "book"], doghouse: ["dog", "house"],
+			lifetime: ["life", "time"], moonstone: ["moon", "stone"], sandstone: ["sand", "stone"],
+			riverboat: ["river", "boat"], warlord: ["war", "chief"], pseudonym: ["pen", "name"],
+			dictionary: ["word", "book"], coast: ["sea", "shore"], godchild: ["god", "child"],
+			"oil lamp": ["oil", "lamp"], "city wall": ["city", "wall"], treehouse: ["tree", "house"],
+		},
+
+		/**
+		 * Calques the dictionary could form now: meanings it lacks whose parts it has.
+		 * @returns {{ meaning: string, modifier: object, head: object }[]}
+		 */
+		proposeCalques() {
+			const { dictionary } = languageState.generated;
+			const find = (meaning) => dictionary.find((w) => w.meaning === meaning && w.pos === "noun");
+			return Object.entries(this.CALQUES)
+				.filter(([meaning]) => !dictionary.some((w) => w.meaning === meaning))
+				.map(([meaning, [modifier, head]]) => ({ meaning, modifier: find(modifier), head: find(head) }))
+				.filter((proposal) => proposal.modifier && proposal.head);
+		},
+
+		// Adds a proposed calque as a locked entry. @returns {object|null} the new entry
+		addCalque(meaning) {
+			const proposal = this.proposeCalques().find((p) => p.meaning === meaning);
+			if (!proposal) return null;
+			const word = { ...MorphoSyntax.applyCompounding(proposal.modifier, proposal.head, meaning), locked: true };
+			this.assignIds([word]);
+			languageState.generated.dictionary.push(word);
+			return word;
+		},
+
+		// The number of the first id ("w1", "w2", …) after every id in `words`.
+		nextIdNumber(words) {
+			return 1 + words.reduce((max, w) => Math.max(max, Number(String(w.id || "").slice(1)) || 0), 0);
+		},
+
+		// Gives entries without an id the next free one after those in `existing`.
+		assignIds(words, existing = languageState.generated.dictionary) {
+			let next = Math.max(this.nextIdNumber(existing), this.nextIdNumber(words));
+			words.forEach((word) => {
+				if (!word.id) word.id = `w${next++}`;
+			});
+			return words;
+		},
+
+		// Etymology types; derivations and compounds point at their sources and roots by id.
+		ETYMOLOGY_TYPES: ["derivation", "compound", "loanword"],
+
+		// Origin filters of the lexicon table; a root may also be irregular.
+		ORIGINS: {
+			root: (word) => !word.etymology,
+			derived: (word) => Lexicon.isFormed(word),
+			irregular: (word) => Boolean(word.irregular),
+			loanword: (word) => Boolean(word.etymology) && word.etymology.type === "loanword",
+		},
+
+		isFormed(word) {
+			return Boolean(word.etymology) && (word.etymology.type === "derivation" || word.etymology.type === "compound");
+		},
+
+		// The ids of the roots a word is formed from; a root or loanword is its own root.
+		rootsOf(word) {
+			return this.isFormed(word) ? word.etymology.roots : [word.id];
+		},
+
+		morphemesOf(word) {
+			return this.isFormed(word) ? word.etymology.morphemes : [];
+		},
+
+		affixNotation(morpheme) {
+			const roman = Phonology.romanize(morpheme.form);
+			return morpheme.type === "prefix" ? `${roman}-` : `-${roman}`;
+		},
+
+		/**
+		 * Spells out an entry's origin, e.g. "fire + mountain", "happy + -ness + un-" or
+		 * "English computer". Ids are shown as the meanings of the entries they name.
+		 */
+		describeEtymology(word, byId = this.indexById()) {
+			if (!word.etymology) return "";
+			const { type, sources, roots, morphemes, loan } = word.etymology;
+			if (type === "loanword") return `${loan.language} ${loan.word}`;
+			const name = (id) => (byId.has(id) ? byId.get(id).meaning : `?${id}`);
+			return (type === "compound" ? sources.map(name) : [...roots.map(name), ...morphemes.map((m) => this.affixNotation(m))]).join(" + ");
+		},
+
+		indexById(dictionary = languageState.generated.dictionary) {
+			return new Map(dictionary.map((word) => [word.id, word]));
+		},
+
+		/**
+		 * Word families: every root with the entries formed from it, largest first.
+		 * @returns {{ root: object, members: object[] }[]}
+		 */
+		families() {
+			const byId = this.indexById();
+			const families = new Map();
+			languageState.generated.dictionary.forEach((word) => {
+				if (!this.isFormed(word)) return;
+				word.etymology.roots.forEach((root) => {
+					if (!byId.has(root)) return;
+					if (!families.has(root)) families.set(root, []);
+					families.get(root).push(word);
+				});
+			});
+			return [...families].map(([root, members]) => ({ root: byId.get(root), members }))
+				.sort((a, b) => b.members.length - a.members.length || a.root.meaning.localeCompare(b.root.meaning));
+		},
+
+		/**
+		 * The derivation tree below an entry: the words formed directly from it, each with
+		 * its own subtree. A word reachable along two paths (a compound of two members of
+		 * the family) is shown under the first.
+		 * @returns {{ word: object, children: object[] }}
+		 */
+		derivationTree(word, dictionary = languageState.generated.dictionary, seen = new Set()) {
+			seen.add(word.id);
+			const children = dictionary
+				.filter((w) => this.isFormed(w) && w.etymology.sources.includes(word.id) && !seen.has(w.id))
+				.map((w) => this.derivationTree(w, dictionary, seen));
+			return { word, children };
+		},
+
+		/**
+		 * Creates a word for a meaning on the spot (e.g. one the translator did not know).
+		 * Coined words are locked so regenerating the lexicon keeps them.
+		 * @returns {object|null} the new entry, or null if no word could be built
+		 */
+		coin(meaning, pos = "noun") {
+			const { dictionary } = languageState.generated;
+			Random.seed(`${languageState.seed}:coin:${meaning}`);
+			let ipa;
+			let attempts = 0;
+			do {
+				ipa = Phonology.generateWord();
+				attempts++;
+			} while (ipa && dictionary.some((w) => w.ipa === `/${ipa}/`) && attempts < 50);
+			if (!ipa) return null;
+			const word = { ipa: `/${ipa}/`, roman: Phonology.romanize(ipa), pos, meaning, gender: null, locked: true };
+			// A built-in meaning brings its argument tags along when the part of speech agrees.
+			this.applyTags(word, this.builtInTags(meaning, pos) || [pos]);
+			this.assignIds([word]);
+			const { grammaticalGender } = languageState.morphoSyntax;
+			if (pos === "noun" && grammaticalGender !== "none") {
+				word.gender = Random.pick(grammaticalGender === "mf" ? ["masculine", "feminine"] : ["masculine", "feminine", "neuter"]);
+			}
+			dictionary.push(word);
+			return word;
 		},
 
+		/**
+		 * Fills the dictionary from the semantic fields. A field that is not built in is
+		 * taken as a single meaning, optionally tagged like "dragon:animate" or
+		 * "fly:verb+intransitive"; untagged ones become inanimate count nouns.
+		 */
 		generate() {
-			const { rootCount, semanticFields, loanwords } = languageState.lexicon;
+			const { rootCount, semanticFields, prioritizeFields, loanwords } = languageState.lexicon;
+			Random.seed(`${languageState.seed}:lexicon`);
 			const newDictionary = [];
-			const pos = ["noun", "verb", "adjective"];
-			const generatedRomans = new Set();
-			const usedMeanings = new Set();
+			// Locked entries survive regeneration and reserve their forms and meanings.
+			const lockedWords = languageState.generated.dictionary.filter((w) => w.locked);
+			const generatedRomans = new Set(lockedWords.map((w) => w.roman));
+			const lockedIpas = new Set(lockedWords.map((w) => w.ipa));
+			const usedMeanings = new Set(lockedWords.map((w) => w.meaning));
+			const isTaken = (word) => generatedRomans.has(word.roman) || lockedIpas.has(word.ipa) || usedMeanings.has(word.meaning);
+			// New entries are numbered on from the locked ones, in the order they are made.
+			let nextId = this.nextIdNumber(lockedWords);
+			const assignId = (word) => {
+				word.id = `w${nextId++}`;
+				return word;
+			};
 
-			// Guard against empty semantic fields to prevent infinite loops
-			if (semanticFields.length === 0 || (semanticFields.length === 1 && semanticFields[0] === "")) {
-				languageState.generated.dictionary = [];
-				return;
+			const slotsToFill = Math.max(0, rootCount - lockedWords.length);
+			if (semanticFields.length === 0) {
+				languageState.generated.dictionary = lockedWords;
+				return { requested: slotsToFill, meanings: slotsToFill, forms: 0 };
 			}
 
+			// Each field is a pool of meanings. Prioritized generation empties the pools in
+			// the order the fields are listed; otherwise they take turns, one meaning each.
 			const meaningsToGenerate = [];
-			let fieldIndex = 0;
-			while (meaningsToGenerate.length < rootCount) {
-				const fieldName = semanticFields[fieldIndex % semanticFields.length];
-				const fieldKey = this.semanticFieldMap[fieldName];
-
-				if (fieldKey && this.SemanticDictionary[fieldKey]) {
-					const availableWords = this.SemanticDictionary[fieldKey].filter(w => !usedMeanings.has(w));
-					if (availableWords.length > 0) {
-						const chosenMeaning = availableWords[Math.floor(Math.random() * availableWords.length)];
-						meaningsToGenerate.push(chosenMeaning);
-						usedMeanings.add(chosenMeaning);
-					}
-				} else {
-					if (!usedMeanings.has(fieldName) && fieldName) { // Ensure fieldName is not empty
-						meaningsToGenerate.push(fieldName);
-						usedMeanings.add(fieldName);
-					}
+			const pools = semanticFields.map((name) => this.fieldMeanings(name));
+			const take = (pool) => {
+				pool.meanings = pool.meanings.filter((m) => !usedMeanings.has(m.meaning));
+				if (pool.meanings.length === 0) return false;
+				const chosen = pool.meanings.splice(pool.ranked && prioritizeFields ? 0 : Random.int(pool.meanings.length), 1)[0];
+				meaningsToGenerate.push(chosen);
+				usedMeanings.add(chosen.meaning);
+				return true;
+			};
+			if (prioritizeFields) {
+				pools.forEach((pool) => {
+					while (meaningsToGenerate.length < slotsToFill && take(pool));
+				});
+			} else {
+				let active = pools;
+				while (meaningsToGenerate.length < slotsToFill && active.length > 0) {
+					active = active.filter((pool) => meaningsToGenerate.length >= slotsToFill || take(pool));
 				}
-				fieldIndex++;
-				if (fieldIndex > rootCount * 2 && meaningsToGenerate.length < rootCount) break;
 			}
+			const shortfall = { requested: slotsToFill, meanings: slotsToFill - meaningsToGenerate.length, forms: 0 };
 
-			for (const meaning of meaningsToGenerate) {
+			// A form no other word has, or null when the phonology cannot produce one.
+			const freshForm = () => {
 				let ipa, roman;
 				let attempts = 0;
 				do {
@@ -306,77 +1451,151 @@
 					roman = Phonology.romanize(ipa);
 					attempts++;
 				// CHANGE: Increased attempt limit for more robust word generation
-				} while (generatedRomans.has(roman) && attempts < 50);
+				} while ((generatedRomans.has(roman) || lockedIpas.has(`/${ipa}/`)) && attempts < 50);
 
-				if (!ipa || generatedRomans.has(roman)) continue;
+				if (!ipa || generatedRomans.has(roman) || lockedIpas.has(`/${ipa}/`)) return null;
 				generatedRomans.add(roman);
+				return { ipa, roman };
+			};
 
-				const wordPos = pos[Math.floor(Math.random() * pos.length)];
-				const word = {
-					ipa: `/${ipa}/`, roman, pos: wordPos, meaning: meaning, gender: null,
-				};
+			const { homophonyRate, polysemyRate, synonymRate, dialects } = languageState.lexicon;
+			for (const { meaning, tags } of meaningsToGenerate) {
+				// Deliberate homophones reuse the form of an earlier root.
+				const homophone = homophonyRate > 0 && newDictionary.length > 0 && Random.next() < homophonyRate ? Random.pick(newDictionary) : null;
+				const form = homophone ? { ipa: homophone.ipa.slice(1, -1), roman: homophone.roman } : freshForm();
+				if (!form) {
+					shortfall.forms++;
+					continue;
+				}
+
+				const word = this.applyTags({ ipa: `/${form.ipa}/`, roman: form.roman, pos: "noun", meaning: meaning, gender: null }, tags);
 
 				if (word.pos === "noun" && languageState.morphoSyntax.grammaticalGender !== "none") {
 					const genders = languageState.morphoSyntax.grammaticalGender === "mf"
 						? ["masculine", "feminine"]
 						: ["masculine", "feminine", "neuter"];
-					word.gender = genders[Math.floor(Math.random() * genders.length)];
+					word.gender = Random.pick(genders);
 				}
 				newDictionary.push(word);
 			}
+			newDictionary.forEach(assignId);
 
-			const derivedWords = [];
-			const { irregularityRate } = languageState.morphoSyntax;
-			languageState.morphoSyntax.derivationalMorphemes.forEach((morpheme) => {
+			// Roots may take on related senses from the extension table, if no word has them yet.
+			if (polysemyRate > 0) {
 				newDictionary.forEach((word) => {
-					if (Math.random() < 0.5) {
-						if (Math.random() < irregularityRate) {
-							const vowels = languageState.phonology.vowels;
-							if (vowels.length > 0) {
-								const baseIpa = word.ipa.slice(1, -1);
-								const randomVowel = vowels[Math.floor(Math.random() * vowels.length)];
-								const lastVowelIndex = Array.from(baseIpa).map((c, i) => (vowels.includes(c) ? i : -1)).filter((i) => i !== -1).pop();
-								if (lastVowelIndex !== undefined) {
-									let newIpa = Array.from(baseIpa);
-									newIpa[lastVowelIndex] = randomVowel;
-									newIpa = newIpa.join("");
-									derivedWords.push({
-										ipa: `/${newIpa}/`,
-										roman: Phonology.romanize(newIpa),
-										pos: morpheme.func,
-										meaning: `${word.meaning} (irregular ${morpheme.func})`,
-										gender: word.gender,
-									});
-								}
-							}
-						} else {
-							const newWord = MorphoSyntax.applyDerivation(word, morpheme);
-							if (newWord) derivedWords.push(newWord);
-						}
-					}
+					(this.SEMANTIC_EXTENSIONS[word.meaning] || []).forEach((spec) => {
+						const [sense] = this.parseSenses(spec, word.pos);
+						if (usedMeanings.has(sense.meaning) || Random.next() >= polysemyRate) return;
+						word.senses = [...(word.senses || []), sense];
+						usedMeanings.add(sense.meaning);
+					});
+				});
+			}
+
+			// Each level derives from the words of the previous one, less often the deeper it goes.
+			const derivedWords = [];
+			const { derivationalMorphemes, derivationDepth } = languageState.morphoSyntax;
+			let bases = [...lockedWords, ...newDictionary];
+			for (let level = 1; level <= derivationDepth && bases.length > 0; level++) {
+				const derivedAtLevel = [];
+				derivationalMorphemes.forEach((morpheme) => {
+					bases.forEach((word) => {
+						if (Random.next() >= 0.5 / level) return;
+						const used = this.morphemesOf(word).some((m) => m.form === morpheme.form && m.func === morpheme.func);
+						const newWord = used ? null : MorphoSyntax.applyDerivation(word, morpheme);
+						if (!newWord || isTaken(newWord)) return;
+						generatedRomans.add(newWord.roman);
+						usedMeanings.add(newWord.meaning);
+						assignId(newWord);
+						derivedAtLevel.push(newWord);
+					});
 				});
+				derivedWords.push(...derivedAtLevel);
+				bases = derivedAtLevel;
+			}
+
+			// Irregular nouns and verbs keep one entry with a stem change in their paradigm.
+			const { irregularityRate } = languageState.morphoSyntax;
+			newDictionary.forEach((word) => {
+				if (Random.next() >= irregularityRate) return;
+				const irregular = MorphoSyntax.createIrregularStem(word);
+				if (irregular) word.irregular = irregular;
 			});
 
-			languageState.generated.dictionary = [...newDictionary, ...derivedWords];
+			// Synonyms are further roots for the same meaning, marked by register or dialect.
+			const synonyms = [];
+			if (synonymRate > 0) {
+				newDictionary.forEach((word) => {
+					if (Random.next() >= synonymRate) return;
+					const form = freshForm();
+					if (!form) return;
+					const synonym = this.applyTags({ ipa: `/${form.ipa}/`, roman: form.roman, pos: word.pos, meaning: word.meaning, gender: word.gender }, this.tagsOf(word));
+					if (dialects.length > 0 && Random.next() < 0.5) synonym.dialect = Random.pick(dialects);
+					else synonym.register = Random.pick(Object.keys(this.REGISTERS));
+					synonyms.push(synonym);
+				});
+				synonyms.forEach(assignId);
+			}
+
+			languageState.generated.dictionary = [...lockedWords, ...newDictionary, ...synonyms, ...derivedWords];
 
-			if (loanwords.enabled) {
-				const loanwordCount = Math.max(1, Math.floor(rootCount * 0.05));
-				for (let i = 0; i < loanwordCount; i++) {
-					const sourceWord = Phonology.sourceLoanwords[Math.floor(Math.random() * Phonology.sourceLoanwords.length)];
-					const assimilatedIpa = Phonology.assimilate(sourceWord);
+			if (loanwords.enabled && loanwords.rate > 0) {
+				const loanwordCount = Math.max(1, Math.floor(rootCount * loanwords.rate));
+				const available = loanwords.words.filter((source) => !usedMeanings.has(source.word));
+				for (let i = 0; i < loanwordCount && available.length > 0; i++) {
+					const source = available.splice(Random.int(available.length), 1)[0];
+					const assimilatedIpa = Phonology.assimilate(source, loanwords.repair);
 					const assimilatedRoman = Phonology.romanize(assimilatedIpa);
 
 					if (assimilatedRoman && !languageState.generated.dictionary.some((w) => w.roman === assimilatedRoman)) {
-						languageState.generated.dictionary.push({
+						const loan = { language: loanwords.language, word: source.word };
+						if (source.ipa) loan.ipa = source.ipa;
+						const word = this.applyTags({
 							ipa: `/${assimilatedIpa}/`,
 							roman: assimilatedRoman,
 							pos: "noun",
-							meaning: `${sourceWord} (loanword)`,
+							meaning: source.word,
 							gender: null,
-						});
+							etymology: { type: "loanword", loan },
+						}, []);
+						languageState.generated.dictionary.push(assignId(word));
 					}
 				}
 			}
+
+			// Markers have their own seed, so regenerating them never changes the word list.
+			MorphoSyntax.generateMarkers();
+			return shortfall;
+		},
+
+		/**
+		 * The meanings a semantic field provides: a built-in field named by its label or
+		 * key, a custom field, or else the name itself read as a single meaning.
+		 * @returns {{ ranked: boolean, meanings: { meaning: string, tags: string[] }[] }}
+		 */
+		fieldMeanings(name) {
+			const key = this.semanticFieldMap[name] || (this.SemanticDictionary[name] ? name : null);
+			if (key) {
+				return {
+					ranked: this.RANKED_FIELDS.includes(key),
+					meanings: this.SemanticDictionary[key].map((spec) => {
+						const parsed = this.parseMeaning(spec);
+						return { meaning: parsed.meaning, tags: [...this.FIELD_DEFAULTS[key], ...parsed.tags] };
+					}),
+				};
+			}
+			const custom = languageState.lexicon.customFields.find((field) => field.name === name);
+			if (custom) {
+				return {
+					ranked: true, // Prioritized generation keeps the order the list was written in
+					meanings: custom.meanings.map((spec) => {
+						const parsed = this.parseMeaning(spec);
+						return { meaning: parsed.meaning, tags: [...custom.tags, ...parsed.tags] };
+					}).filter((m) => m.meaning),
+				};
+			}
+			const literal = this.parseMeaning(name);
+			return { ranked: true, meanings: literal.meaning ? [{ meaning: literal.meaning, tags: ["noun", ...literal.tags] }] : [] };
 		},
 	};
 
@@ -394,260 +1613,3563 @@
 				newIpa = baseIpa + morpheme.form;
 				newRoman = word.roman + Phonology.romanize(morpheme.form);
 			}
-			return {
+			// The derived word keeps whatever argument tags still fit its part of speech.
+			return Lexicon.applyTags({
 				ipa: `/${newIpa}/`, roman: newRoman, pos: morpheme.func,
 				meaning: `${word.meaning} (${morpheme.func})`,
+				etymology: {
+					type: "derivation",
+					sources: [word.id],
+					roots: [...Lexicon.rootsOf(word)],
+					morphemes: [...Lexicon.morphemesOf(word), { type: morpheme.type, form: morpheme.form, func: morpheme.func }],
+				},
+			}, Lexicon.tagsOf(word));
+		},
+
+		/**
+		 * Joins a modifier and a head into a compound following the compounding
+		 * settings. The compound takes the head's part of speech, tags and gender;
+		 * only the first element keeps its stress.
+		 */
+		applyCompounding(modifier, head, meaning) {
+			const { head: headPosition, linker, fusion } = languageState.morphoSyntax.compounding;
+			const { STRESS_MARK } = Phonology;
+			const [first, second] = headPosition === "final" ? [modifier, head] : [head, modifier];
+			const parts = [first.ipa.slice(1, -1), linker, second.ipa.slice(1, -1).split(STRESS_MARK).join("")].filter(Boolean);
+			let ipa = fusion === "elision" ? parts.reduce((left, right) => this._elide(left, right)) : parts.join("");
+			if (fusion !== "none") ipa = Phonology.applyPhonologicalRules(ipa);
+			return Lexicon.applyTags({
+				ipa: `/${ipa}/`, roman: Phonology.romanize(ipa), pos: head.pos, meaning, gender: head.gender || null,
+				etymology: {
+					type: "compound",
+					sources: [modifier.id, head.id],
+					roots: [...new Set([...Lexicon.rootsOf(modifier), ...Lexicon.rootsOf(head)])],
+					morphemes: [],
+				},
+			}, Lexicon.tagsOf(head));
+		},
+
+		// Joins two forms, dropping the first of two vowels and one of two identical consonants at the seam.
+		_elide(left, right) {
+			const { vowels } = languageState.phonology;
+			const a = Phonology.tokenize(left);
+			const b = Phonology.tokenize(right);
+			const last = a[a.length - 1];
+			const hiatus = vowels.includes(last) && vowels.includes(b[0]);
+			const geminate = last === b[0] && !vowels.includes(last);
+			if (hiatus || geminate) a.pop();
+			return [...a, ...b].join("");
+		},
+
+		// Inflectional categories, their values and the gloss abbreviations used for them.
+		CATEGORIES: {
+			case: {
+				label: "格",
+				values: {
+					nominative: { label: "主格", gloss: "NOM" }, accusative: { label: "対格", gloss: "ACC" },
+					genitive: { label: "属格", gloss: "GEN" }, dative: { label: "与格", gloss: "DAT" },
+					locative: { label: "所格", gloss: "LOC" }, ablative: { label: "奪格", gloss: "ABL" },
+					instrumental: { label: "具格", gloss: "INS" }, vocative: { label: "呼格", gloss: "VOC" },
+				},
+			},
+			number: {
+				label: "数",
+				values: { singular: { label: "単数", gloss: "SG" }, dual: { label: "双数", gloss: "DU" }, plural: { label: "複数", gloss: "PL" } },
+			},
+			person: {
+				label: "人称",
+				values: { 1: { label: "一人称", gloss: "1" }, 2: { label: "二人称", gloss: "2" }, 3: { label: "三人称", gloss: "3" } },
+			},
+			tense: {
+				label: "時制",
+				values: { past: { label: "過去", gloss: "PST" }, present: { label: "現在", gloss: "PRS" }, future: { label: "未来", gloss: "FUT" } },
+			},
+			aspect: {
+				label: "相",
+				values: {
+					perfective: { label: "完結相", gloss: "PFV" }, imperfective: { label: "未完結相", gloss: "IPFV" },
+					progressive: { label: "進行相", gloss: "PROG" }, habitual: { label: "習慣相", gloss: "HAB" },
+				},
+			},
+			mood: {
+				label: "法",
+				values: {
+					indicative: { label: "直説法", gloss: "IND" }, subjunctive: { label: "接続法", gloss: "SBJV" },
+					imperative: { label: "命令法", gloss: "IMP" }, conditional: { label: "条件法", gloss: "COND" },
+				},
+			},
+			gender: {
+				label: "性",
+				values: { masculine: { label: "男性", gloss: "M" }, feminine: { label: "女性", gloss: "F" }, neuter: { label: "中性", gloss: "N" } },
+			},
+			// Free-standing function words used by the sentence generator.
+			particle: {
+				label: "小辞",
+				values: {
+					negation: { label: "否定", gloss: "NEG" }, question: { label: "疑問", gloss: "Q" },
+					complementizer: { label: "補文標識", gloss: "COMP" }, who: { label: "誰", gloss: "who" }, what: { label: "何", gloss: "what" },
+				},
+			},
+		},
+
+		// Order in which affixes follow (or, for prefixed case, precede) the stem.
+		AFFIX_ORDER: {
+			noun: ["number", "case"],
+			verb: ["aspect", "tense", "mood", "person", "number"],
+			adjective: ["gender"],
+		},
+
+		// Values typologically left unmarked; generateMarkers gives them no affix.
+		ZERO_MARKED: {
+			number: ["singular"],
+			person: ["3"],
+			aspect: ["imperfective"],
+			mood: ["indicative"],
+		},
+
+		// The categories whose affixes could be mistaken for each other: those sharing a part
+		// of speech, and through a shared one (number), noun and verb affixes alike.
+		rivalCategories(category) {
+			const rivals = new Set([category]);
+			let grew = true;
+			while (grew) {
+				grew = false;
+				Object.values(this.AFFIX_ORDER).forEach((group) => {
+					if (!group.some((c) => rivals.has(c)) || group.every((c) => rivals.has(c))) return;
+					group.forEach((c) => rivals.add(c));
+					grew = true;
+				});
+			}
+			return [...rivals];
+		},
+
+		/**
+		 * Creates the affix of every category value from the current inventory, syllable
+		 * structures and phonological rules. Affixes are one short syllable (gender
+		 * agreement a bare vowel), or two when no single syllable is free, and differ from
+		 * every affix of their rival categories. A value that cannot be given a
+		 * distinct form is left unmarked; markerProblems reports it.
+		 */
+		generateMarkers() {
+			const { markerSeed } = languageState.morphoSyntax;
+			const seed = `${languageState.seed}:grammar${markerSeed ? `:${markerSeed}` : ""}`;
+			const { consonants, vowels, syllableStructures, distribution } = languageState.phonology;
+			if (consonants.length === 0 || vowels.length === 0 || syllableStructures.length === 0) return;
+			Random.seed(seed);
+			const short = syllableStructures.filter((structure) => structure.length <= 3 && structure.includes("V"));
+			const structures = short.length > 0 ? short : syllableStructures;
+			const weights = Phonology.getWeights(structures, distribution.syllableWeights, syllableStructures);
+			const markers = {};
+			const build = (category, syllables) => {
+				let raw = "";
+				for (let i = 0; i < syllables; i++) raw += Phonology.buildSyllable(category === "gender" ? "V" : Random.weighted(structures, weights));
+				const form = Phonology.applyPhonologicalRules(raw);
+				return Phonology.hasBannedSequence(form) ? "" : form;
+			};
+			Object.entries(this.CATEGORIES).forEach(([category, { values }]) => {
+				markers[category] = {};
+				const taken = new Set(this.rivalCategories(category).flatMap((rival) => Object.values(markers[rival] || {})));
+				Object.keys(values).forEach((value) => {
+					let form = "";
+					if (!(this.ZERO_MARKED[category] || []).includes(value)) {
+						for (let attempt = 0; attempt < 40 && (!form || taken.has(form)); attempt++) form = build(category, attempt < 20 ? 1 : 2);
+						if (taken.has(form)) form = "";
+					}
+					if (form) taken.add(form);
+					markers[category][value] = form;
+				});
+			});
+			languageState.generated.grammar.markers = markers;
+		},
+
+		/**
+		 * Markers in use that make words ambiguous: a value left unmarked because no
+		 * distinct form was found, or a form shared with an affix of a rival category.
+		 * @returns {Map<string, string>} a message per "category.value"
+		 */
+		markerProblems() {
+			const problems = new Map();
+			const { markerOverrides } = languageState.morphoSyntax;
+			Object.keys(this.CATEGORIES).forEach((category) => {
+				this.categoryValues(category).forEach((value) => {
+					const key = `${category}.${value}`;
+					const form = this.marker(category, value);
+					const overridden = (markerOverrides[category] || {})[value] !== undefined;
+					if (!form) {
+						if (!overridden && !(this.ZERO_MARKED[category] || []).includes(value)) problems.set(key, "他と区別できる標識を作れなかったため無標になっています。");
+						return;
+					}
+					const clash = this.rivalCategories(category).flatMap((rival) => this.categoryValues(rival).map((other) => [rival, other]))
+						.find(([rival, other]) => (rival !== category || other !== value) && this.marker(rival, other) === form);
+					if (clash) problems.set(key, `${this.CATEGORIES[clash[0]].values[clash[1]].label}の標識と同じ形です。`);
+				});
+			});
+			return problems;
+		},
+
+		/**
+		 * The affix in use for a category value: the user's override if there is one,
+		 * otherwise the generated marker. "" means unmarked.
+		 */
+		marker(category, value) {
+			const override = (languageState.morphoSyntax.markerOverrides[category] || {})[value];
+			if (override !== undefined) return override;
+			return (languageState.generated.grammar.markers[category] || {})[value] || "";
+		},
+
+		// Which categories form the rows, columns and separate tables of a paradigm.
+		PARADIGM_LAYOUT: {
+			noun: { rows: ["case"], columns: ["number"], tables: [] },
+			verb: { rows: ["person", "number"], columns: ["tense"], tables: ["aspect", "mood"] },
+			adjective: { rows: ["gender"], columns: [], tables: [] },
+		},
+
+		// The cell an irregular stem replaces the regular one in.
+		IRREGULAR_SLOTS: {
+			noun: { category: "number", value: "plural" },
+			verb: { category: "tense", value: "past" },
+		},
+
+		/**
+		 * The marked values of a category. Gender comes from the gender settings and only
+		 * counts when adjectives agree with their noun.
+		 */
+		categoryValues(category) {
+			const { inflection, grammaticalGender, genderAgreement } = languageState.morphoSyntax;
+			if (category === "particle") return Object.keys(this.CATEGORIES.particle.values);
+			if (category !== "gender") return inflection[category] || [];
+			if (!genderAgreement || grammaticalGender === "none") return [];
+			return grammaticalGender === "mf" ? ["masculine", "feminine"] : ["masculine", "feminine", "neuter"];
+		},
+
+		describeFeatures(features) {
+			return Object.entries(features).map(([category, value]) => this.CATEGORIES[category].values[value].label).join(" ");
+		},
+
+		glossFeatures(features) {
+			return Object.entries(features).map(([category, value]) => this.CATEGORIES[category].values[value].gloss).join(".");
+		},
+
+		// Every combination of the given categories' values, as feature objects.
+		_combinations(categories) {
+			return categories.reduce((combos, category) => combos.flatMap((combo) =>
+				this.categoryValues(category).map((value) => ({ ...combo, [category]: value }))), [{}]);
+		},
+
+		/**
+		 * Gives a word a vowel-changed stem used in one cell of its paradigm
+		 * (plural nouns, past-tense verbs). @returns {object|null}
+		 */
+		createIrregularStem(word) {
+			const slot = this.IRREGULAR_SLOTS[word.pos];
+			const { vowels } = languageState.phonology;
+			if (!slot) return null;
+			const segments = Phonology.tokenize(word.ipa.slice(1, -1));
+			const lastVowelIndex = segments.map((s, i) => (vowels.includes(s) ? i : -1)).filter((i) => i !== -1).pop();
+			if (lastVowelIndex === undefined) return null;
+			const replacements = vowels.filter((v) => v !== segments[lastVowelIndex]);
+			if (replacements.length === 0) return null;
+			segments[lastVowelIndex] = Random.pick(replacements);
+			return { stem: `/${segments.join("")}/`, ...slot };
+		},
+
+		/**
+		 * Builds one inflected form. `features` maps categories to values, e.g.
+		 * { number: "plural", case: "accusative" }. Case follows the case-marking setting
+		 * (prefix, suffix or postposition); every other category is a suffix.
+		 * `segmented` and `gloss` line up morpheme by morpheme (Leipzig style).
+		 * @returns {{ ipa: string, roman: string, segmented: string, gloss: string, irregular: boolean }}
+		 */
+		inflect(word, features) {
+			const { caseMarking } = languageState.morphoSyntax;
+			const irregular = Boolean(word.irregular && features[word.irregular.category] === word.irregular.value);
+			const stemIpa = (irregular ? word.irregular.stem : word.ipa).slice(1, -1);
+			const stemGloss = (word.meaning || "?").trim().replace(/\s+/g, ".");
+			const stem = {
+				ipa: stemIpa,
+				roman: irregular ? Phonology.romanize(stemIpa) : word.roman,
+				// Leipzig marks a stem change with a backslash: "eat\PST".
+				gloss: irregular ? `${stemGloss}\\${this.glossFeatures({ [word.irregular.category]: word.irregular.value })}` : stemGloss,
+			};
+			const prefixes = [];
+			const suffixes = [];
+			const particles = [];
+			(this.AFFIX_ORDER[word.pos] || []).forEach((category) => {
+				const ipa = features[category] !== undefined && this.marker(category, features[category]);
+				if (!ipa) return;
+				const affix = { ipa, roman: Phonology.romanize(ipa), gloss: this.glossFeatures({ [category]: features[category] }) };
+				if (category !== "case" || caseMarking === "suffix") suffixes.push(affix);
+				else if (caseMarking === "prefix") prefixes.push(affix);
+				else particles.push(affix);
+			});
+			const join = (key, separator) => [[...prefixes, stem, ...suffixes].map((part) => part[key]).join(separator), ...particles.map((part) => part[key])].join(" ");
+			return {
+				ipa: join("ipa", ""),
+				roman: join("roman", ""),
+				segmented: join("roman", "-"),
+				gloss: join("gloss", "-"),
+				irregular,
 			};
 		},
 
+		hasParadigm(word) {
+			const layout = this.PARADIGM_LAYOUT[word.pos];
+			return Boolean(layout) && [...layout.rows, ...layout.columns, ...layout.tables].some((c) => this.categoryValues(c).length > 0);
+		},
+
+		/**
+		 * The full paradigm of a noun, verb or adjective as tables of inflected forms.
+		 * @returns {{ title: string, columns: string[], rows: { label: string, cells: object[] }[] }[]}
+		 */
+		paradigm(word) {
+			if (!this.hasParadigm(word)) return [];
+			const layout = this.PARADIGM_LAYOUT[word.pos];
+			const marked = (categories) => categories.filter((c) => this.categoryValues(c).length > 0);
+			let rows = marked(layout.rows);
+			// Verbs agree in number only together with person.
+			if (word.pos === "verb" && !rows.includes("person")) rows = [];
+			const columns = this._combinations(marked(layout.columns));
+			return this._combinations(marked(layout.tables)).map((tableFeatures) => ({
+				title: this.describeFeatures(tableFeatures),
+				columns: columns.map((features) => this.describeFeatures(features)),
+				rows: this._combinations(rows).map((rowFeatures) => ({
+					label: this.describeFeatures(rowFeatures),
+					cells: columns.map((columnFeatures) => this.inflect(word, { ...tableFeatures, ...rowFeatures, ...columnFeatures })),
+				})),
+			}));
+		},
+
+		// Clause types and optional constructions the example sentences can draw on.
+		CONSTRUCTIONS: {
+			intransitive: "自動詞文", transitive: "他動詞文", ditransitive: "授与文",
+			negation: "否定", yesNo: "諾否疑問", wh: "疑問詞疑問", subordinate: "従属節",
+			adjectives: "形容詞修飾", plurals: "複数名詞",
+		},
+		CLAUSE_TYPES: ["intransitive", "transitive", "ditransitive"],
+
+		/**
+		 * Generates one example sentence with an English translation, built from the
+		 * clause types and constructions enabled in the example sentence settings.
+		 * Verbs are chosen by valency, subjects and recipients are animate where the
+		 * dictionary allows it, and only count nouns are pluralized.
+		 * Particles close their clause when the object precedes the verb and open it
+		 * otherwise; question words move to the front only in the latter case.
+		 */
 		generateSentence() {
 			const { dictionary } = languageState.generated;
-			const { genderAgreement, grammaticalGender, wordOrder, caseMarking, adjectiveOrder } = languageState.morphoSyntax;
+			const { wordOrder, adjectiveOrder, exampleSentences } = languageState.morphoSyntax;
 
-			const nouns = dictionary.filter((w) => w.pos === "noun");
-			const verbs = dictionary.filter((w) => w.pos === "verb");
-			const adjectives = dictionary.filter((w) => w.pos === "adjective");
+			// Every sense of a multi-sense entry can be used, each with its own part of speech.
+			const readings = dictionary.flatMap((w) => Lexicon.readingsOf(w));
+			const nouns = readings.filter((w) => w.pos === "noun");
+			const verbs = readings.filter((w) => w.pos === "verb");
+			const adjectives = readings.filter((w) => w.pos === "adjective");
 
 			if (nouns.length < 2 || verbs.length < 1) return "辞書に単語が不足しています。";
+			const enabled = new Set(exampleSentences.constructions);
+			const verbsOf = (type) => verbs.filter((v) => (v.valency || 2) === this.CLAUSE_TYPES.indexOf(type) + 1);
+			const clauseTypes = this.CLAUSE_TYPES.filter((type) => enabled.has(type));
+			if (clauseTypes.length === 0) return "文型が選択されていません。";
+			const usableTypes = clauseTypes.filter((type) => verbsOf(type).length > 0);
+			if (usableTypes.length === 0) return "選択された文型に合う動詞が辞書にありません。";
+			const complementVerbs = verbs.filter((v) => v.complement);
+			const animates = nouns.filter((n) => n.animate);
+
+			const marked = (category, value) => (this.categoryValues(category).includes(value) ? { [category]: value } : {});
+			const particle = (value) => Phonology.romanize(this.marker("particle", value));
+			const meaningOf = (word) => word.meaning.replace(/\s*\(.*\)$/, "");
+			const objectFirst = wordOrder.indexOf("O") < wordOrder.indexOf("V");
+			const used = new Set();
+
+			const nounPhrase = (caseValue, animate = false) => {
+				const pool = animate && animates.length > 0 ? animates : nouns;
+				const fresh = pool.filter((n) => !used.has(n));
+				const noun = Random.pick(fresh.length > 0 ? fresh : pool);
+				used.add(noun);
+				const plural = enabled.has("plurals") && noun.countable !== false && Random.next() < 0.3;
+				// A postposition follows the whole phrase, adjective included.
+				const [head, ...particles] = this.inflect(noun, { ...marked("number", plural ? "plural" : "singular"), ...marked("case", caseValue) }).segmented.split(" ");
+				let words = [head];
+				let english = plural ? English.plural(meaningOf(noun)) : meaningOf(noun);
+				if (adjectives.length > 0 && enabled.has("adjectives") && Random.next() < 0.4) {
+					const adjective = Random.pick(adjectives);
+					const form = this.inflect(adjective, noun.gender ? marked("gender", noun.gender) : {}).segmented;
+					words = adjectiveOrder === "AN" ? [form, head] : [head, form];
+					english = `${meaningOf(adjective)} ${english}`;
+				}
+				return { words: [...words, ...particles], english: `the ${english}`, plural };
+			};
+
+			const clause = (type, embedded) => {
+				// A subordinate clause replaces the object of a verb that takes one.
+				const subordinate = !embedded && enabled.has("subordinate") && complementVerbs.length > 0 && Random.next() < 0.2;
+				let question = null;
+				if (!embedded) {
+					const roll = Random.next();
+					if (enabled.has("yesNo") && roll < 0.2) question = "yesNo";
+					else if (enabled.has("wh") && roll >= 0.8) question = type !== "intransitive" && !subordinate && Random.next() < 0.5 ? "what" : "who";
+				}
+				const negative = enabled.has("negation") && Random.next() < 0.25;
+				const whWord = (value) => ({ words: [particle(value)], english: "", plural: false });
+
+				const subject = question === "who" ? whWord("who") : nounPhrase("nominative", true);
+				const indirect = type === "ditransitive" && !subordinate ? nounPhrase("dative", true) : null;
+				let object = null;
+				if (subordinate) {
+					const inner = clause(Random.pick(usableTypes), true);
+					const complementizer = particle("complementizer");
+					object = { words: objectFirst ? [...inner.words, complementizer] : [complementizer, ...inner.words], english: `that ${inner.english}` };
+				} else if (type !== "intransitive") {
+					object = question === "what" ? whWord("what") : nounPhrase("accusative");
+				}
+
+				// The verb takes a random tense and aspect and agrees with its third-person subject.
+				const verb = Random.pick(subordinate ? complementVerbs : verbsOf(type));
+				const features = {};
+				["aspect", "tense"].forEach((category) => {
+					const values = this.categoryValues(category);
+					if (values.length > 0) features[category] = Random.pick(values);
+				});
+				Object.assign(features, marked("mood", "indicative"));
+				if (this.categoryValues("person").includes("3")) Object.assign(features, { person: "3" }, marked("number", subject.plural ? "plural" : "singular"));
+				const verbWords = [negative ? particle("negation") : "", this.inflect(verb, features).segmented];
+
+				const wh = question === "who" ? subject : question === "what" ? object : null;
+				const fronted = wh && !objectFirst ? wh : null;
+				const inPlace = (phrase) => (phrase && phrase !== fronted ? phrase.words : []);
+				const slots = { S: inPlace(subject), V: verbWords, O: [...inPlace(indirect), ...inPlace(object)] };
+				let words = [...(fronted ? fronted.words : []), ...wordOrder.split("").flatMap((slot) => slots[slot])];
+				if (question === "yesNo") words = objectFirst ? [...words, particle("question")] : [particle("question"), ...words];
+
+				const english = English.clause({
+					subject: subject.english,
+					verb: meaningOf(verb),
+					object: object ? object.english : "",
+					indirect: indirect ? indirect.english : "",
+					tense: features.tense || "present",
+					progressive: features.aspect === "progressive",
+					pluralSubject: subject.plural,
+					negative,
+					question,
+				});
+				return { words: words.filter(Boolean), english, question: Boolean(question) };
+			};
+
+			const sentence = clause(Random.pick(usableTypes), false);
+			return `${sentence.words.join(" ")}${sentence.question ? "?" : "."} ('${English.sentence(sentence.english, sentence.question)}')`;
+		},
+	};
+
+	/**
+	 * English Module: Just enough English morphology to read simple clauses and to
+	 * write translations of generated and glossed sentences.
+	 */
+	const English = {
+		IRREGULAR_PAST: {
+			ate: "eat", drank: "drink", slept: "sleep", saw: "see", heard: "hear", spoke: "speak",
+			ran: "run", read: "read", went: "go", came: "come", gave: "give", took: "take", made: "make", did: "do",
+			knew: "know", thought: "think", sang: "sing", fought: "fight", wrote: "write", found: "find",
+			told: "tell", said: "say", brought: "bring", built: "build", held: "hold", left: "leave",
+			lost: "lose", met: "meet", sat: "sit", stood: "stand", swam: "swim", threw: "throw",
+			won: "win", flew: "fly", fell: "fall", felt: "feel", kept: "keep", broke: "break",
+			caught: "catch", bought: "buy", taught: "teach", drove: "drive", rode: "ride", hid: "hide",
+			bit: "bite", grew: "grow", led: "lead", began: "begin", forgot: "forget", got: "get",
+			had: "have", sent: "send", spent: "spend", struck: "strike", wore: "wear",
+			blew: "blow", spat: "spit", lay: "lie", cut: "cut", hit: "hit", split: "split", dug: "dig",
+			froze: "freeze", ground: "grind",
+		},
+
+		IRREGULAR_PLURALS: {
+			men: "man", women: "woman", children: "child", people: "person", mice: "mouse",
+			feet: "foot", teeth: "tooth", geese: "goose", oxen: "ox", lives: "life", knives: "knife",
+			wolves: "wolf", leaves: "leaf", wives: "wife", halves: "half", selves: "self", thieves: "thief",
+		},
+
+		plural(noun) {
+			const irregular = Object.keys(this.IRREGULAR_PLURALS).find((plural) => this.IRREGULAR_PLURALS[plural] === noun);
+			if (irregular) return irregular;
+			if (/(s|sh|ch|x|z)$/.test(noun)) return `${noun}es`;
+			if (/[^aeiou]y$/.test(noun)) return `${noun.slice(0, -1)}ies`;
+			return `${noun}s`;
+		},
+
+		// Inflects only the first word of a phrasal verb such as "lie down".
+		_inflectHead(verb, inflect) {
+			const space = verb.indexOf(" ");
+			return space === -1 ? inflect(verb) : `${inflect(verb.slice(0, space))}${verb.slice(space)}`;
+		},
+
+		// Third-person singular present follows the noun plural spelling, plus "goes", "does".
+		thirdPerson(verb) {
+			if (verb.includes(" ")) return this._inflectHead(verb, (head) => this.thirdPerson(head));
+			return /[^aeiou]o$/.test(verb) ? `${verb}es` : this.plural(verb);
+		},
+
+		past(verb) {
+			if (verb.includes(" ")) return this._inflectHead(verb, (head) => this.past(head));
+			const irregular = Object.keys(this.IRREGULAR_PAST).find((form) => this.IRREGULAR_PAST[form] === verb);
+			if (irregular) return irregular;
+			if (verb.endsWith("e")) return `${verb}d`;
+			if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+			return `${verb}ed`;
+		},
+
+		participle(verb) {
+			if (verb.includes(" ")) return this._inflectHead(verb, (head) => this.participle(head));
+			if (verb.endsWith("ie")) return `${verb.slice(0, -2)}ying`;
+			return /[^e]e$/.test(verb) ? `${verb.slice(0, -1)}ing` : `${verb}ing`;
+		},
+
+		/**
+		 * Builds a lower-case clause from ready-made noun phrases and a verb lemma, with
+		 * do-support for negation and questions. `question` is null, "yesNo", "who"
+		 * (the subject is asked for) or "what" (the object is asked for).
+		 */
+		clause({ subject = "", verb, object = "", indirect = "", tense = "present", progressive = false, pluralSubject = false, negative = false, question = null }) {
+			const be = { past: pluralSubject ? "were" : "was", present: pluralSubject ? "are" : "is", future: "will be" }[tense];
+			const doSupport = { past: "did", present: pluralSubject ? "do" : "does", future: "will" }[tense];
+			let aux = "";
+			let main;
+			if (progressive) {
+				aux = be;
+				main = this.participle(verb);
+			} else if (negative || question === "yesNo" || question === "what" || tense === "future") {
+				aux = doSupport;
+				main = verb;
+			} else {
+				main = tense === "past" ? this.past(verb) : pluralSubject ? verb : this.thirdPerson(verb);
+			}
+			const [auxHead = "", ...auxRest] = aux.split(" ");
+			const not = negative ? "not" : "";
+			let words;
+			if (question === "yesNo") words = [auxHead, subject, not, ...auxRest, main, indirect, object];
+			else if (question === "what") words = ["what", auxHead, subject, not, ...auxRest, main, indirect];
+			else if (question === "who") words = ["who", auxHead, not, ...auxRest, main, indirect, object];
+			else words = [subject, auxHead, not, ...auxRest, main, indirect, object];
+			return words.filter(Boolean).join(" ");
+		},
+
+		// Capitalizes a clause and ends it with a full stop or question mark.
+		sentence(clause, question = false) {
+			return `${clause.charAt(0).toUpperCase()}${clause.slice(1)}${question ? "?" : "."}`;
+		},
+	};
+
+	/**
+	 * Translator Module: Turns simple English clauses (subject, verb, optional object,
+	 * adjectives before nouns) into the conlang with an interlinear gloss.
+	 */
+	const Translator = {
+		DETERMINERS: ["the", "a", "an", "this", "that", "these", "those"],
+
+		// The entry for a meaning; one found through a secondary sense is returned as that reading.
+		// Input is lowercased, so meanings compare without case ("i" finds "I").
+		findEntry(meaning) {
+			const { dictionary } = languageState.generated;
+			const wanted = meaning.toLowerCase();
+			const matches = (w) => w.meaning.toLowerCase() === wanted;
+			const entry = dictionary.find(matches);
+			if (entry) return entry;
+			for (const word of dictionary) {
+				const reading = Lexicon.readingsOf(word).find(matches);
+				if (reading) return reading;
+			}
+			return null;
+		},
+
+		_isKnownVerb(lemma) {
+			return Boolean(Lexicon.builtInTags(lemma, "verb"))
+				|| languageState.generated.dictionary.some((w) => Lexicon.readingsOf(w).some((r) => r.pos === "verb" && r.meaning === lemma));
+		},
+
+		// Picks the first candidate lemma the lexicon knows, else the most likely one.
+		_bestLemma(candidates) {
+			return candidates.find((lemma) => this.findEntry(lemma) || this._isKnownVerb(lemma)) || candidates[0];
+		},
+
+		/**
+		 * Reads an English verb form. @returns {{ lemma: string, tense: string|null, progressive: boolean }|null}
+		 */
+		parseVerb(token) {
+			if (English.IRREGULAR_PAST[token]) return { lemma: English.IRREGULAR_PAST[token], tense: "past", progressive: false };
+			if (/..ing$/.test(token)) {
+				const stem = token.slice(0, -3);
+				return { lemma: this._bestLemma([stem, `${stem}e`, stem.slice(0, -1)]), tense: null, progressive: true };
+			}
+			if (/..ed$/.test(token)) {
+				const stem = token.slice(0, -2);
+				return { lemma: this._bestLemma([stem, token.slice(0, -1), stem.slice(0, -1), stem.replace(/i$/, "y")]), tense: "past", progressive: false };
+			}
+			if (this._isKnownVerb(token)) return { lemma: token, tense: "present", progressive: false };
+			if (/[^s]s$/.test(token) && this._isKnownVerb(this._bestLemma([token.slice(0, -1), token.slice(0, -2)]))) {
+				return { lemma: this._bestLemma([token.slice(0, -1), token.slice(0, -2)]), tense: "present", progressive: false };
+			}
+			return null;
+		},
+
+		/**
+		 * Reads an English noun. @returns {{ lemma: string, plural: boolean }}
+		 */
+		parseNoun(token) {
+			if (English.IRREGULAR_PLURALS[token]) return { lemma: English.IRREGULAR_PLURALS[token], plural: true };
+			if (this.findEntry(token) || !/[^s]s$/.test(token)) return { lemma: token, plural: false };
+			return { lemma: this._bestLemma([token.slice(0, -1), token.slice(0, -2), token.replace(/ies$/, "y")]), plural: true };
+		},
+
+		/**
+		 * Splits a sentence into subject phrase, verb and object phrase.
+		 * @returns {{ subject: object[], verb: object|null, object: object[], error: string|null }}
+		 */
+		parse(text) {
+			const tokens = text.toLowerCase().replace(/[^a-z'\s-]/g, " ").split(/\s+/).filter(Boolean)
+				.filter((token) => !this.DETERMINERS.includes(token));
+			let verbIndex = -1;
+			let verb = null;
+			for (let i = 0; i < tokens.length && verbIndex === -1; i++) {
+				const token = tokens[i];
+				// "is king" is not a progressive: the -ing form needs a stem, as in parseVerb.
+				const progressive = ["is", "are", "am", "was", "were"].includes(token) && /..ing$/.test(tokens[i + 1] || "")
+					? this.parseVerb(tokens[i + 1]) : null;
+				if (token === "will" && tokens[i + 1]) {
+					verbIndex = i;
+					verb = { ...this.parseVerb(tokens[i + 1]) || { lemma: tokens[i + 1] }, tense: "future" };
+					tokens.splice(i + 1, 1);
+				} else if (progressive) {
+					verbIndex = i;
+					verb = { ...progressive, tense: ["was", "were"].includes(token) ? "past" : "present" };
+					tokens.splice(i + 1, 1);
+				} else if (i > 0) {
+					const parsed = this.parseVerb(token);
+					if (parsed) {
+						verbIndex = i;
+						verb = parsed;
+					}
+				}
+			}
+			if (!verb) return { subject: [], verb: null, object: [], error: "動詞が見つかりません。「主語 動詞 目的語」の形で入力してください。" };
+			const phrase = (words) => {
+				if (words.length === 0) return [];
+				const head = this.parseNoun(words[words.length - 1]);
+				return [
+					...words.slice(0, -1).map((word) => ({ lemma: word, role: "adjective" })),
+					{ lemma: head.lemma, role: "noun", plural: head.plural },
+				];
+			};
+			const subject = phrase(tokens.slice(0, verbIndex));
+			if (subject.length === 0) return { subject, verb: null, object: [], error: "主語が見つかりません。" };
+			return {
+				subject,
+				verb: { lemma: verb.lemma, role: "verb", tense: verb.tense || "present", progressive: Boolean(verb.progressive) },
+				object: phrase(tokens.slice(verbIndex + 1)),
+				error: null,
+			};
+		},
+
+		/**
+		 * Inflects one word for its role. Unknown words become "?lemma?" placeholders.
+		 */
+		_render(item, features) {
+			// A verb the parser could not read has no lemma; it shows as an empty unknown.
+			const lemma = item.lemma || "";
+			const entry = lemma ? this.findEntry(lemma) : null;
+			if (!entry) return { segmented: `?${lemma}?`, gloss: lemma, roman: `?${lemma}?`, unknown: true };
+			return { ...MorphoSyntax.inflect({ ...entry, pos: item.role }, features), unknown: false };
+		},
+
+		/**
+		 * Translates a simple English sentence.
+		 * @returns {{ words: { segmented: string, gloss: string }[], sentence: string, unknown: { lemma: string, role: string }[], error: string|null }}
+		 */
+		translate(text) {
+			const parsed = this.parse(text);
+			if (parsed.error) return { words: [], sentence: "", unknown: [], error: parsed.error };
+			const { wordOrder, adjectiveOrder } = languageState.morphoSyntax;
+			const marked = (category, value) => (MorphoSyntax.categoryValues(category).includes(value) ? { [category]: value } : {});
+
+			const renderPhrase = (items, caseValue) => {
+				const head = items[items.length - 1];
+				const headEntry = this.findEntry(head.lemma);
+				const number = head.plural ? marked("number", "plural") : marked("number", "singular");
+				const noun = this._render(head, { ...number, ...marked("case", caseValue) });
+				const gender = headEntry && headEntry.gender ? marked("gender", headEntry.gender) : {};
+				const adjectives = items.slice(0, -1).map((item) => this._render(item, gender));
+				return adjectiveOrder === "AN" ? [...adjectives, noun] : [noun, ...adjectives];
+			};
+
+			const { verb } = parsed;
+			const verbFeatures = { ...marked("tense", verb.tense) };
+			if (verb.progressive) Object.assign(verbFeatures, marked("aspect", "progressive"));
+			Object.assign(verbFeatures, marked("mood", "indicative"));
+			if (MorphoSyntax.categoryValues("person").includes("3")) {
+				const subjectHead = parsed.subject[parsed.subject.length - 1];
+				Object.assign(verbFeatures, { person: "3" }, marked("number", subjectHead.plural ? "plural" : "singular"));
+			}
+			const components = {
+				S: renderPhrase(parsed.subject, "nominative"),
+				O: parsed.object.length > 0 ? renderPhrase(parsed.object, "accusative") : [],
+				V: [this._render(verb, verbFeatures)],
+			};
+			const words = wordOrder.split("").flatMap((c) => components[c]);
+			const unknown = [];
+			[...parsed.subject, verb, ...parsed.object].forEach((item) => {
+				if (!this.findEntry(item.lemma) && !unknown.some((u) => u.lemma === item.lemma)) unknown.push({ lemma: item.lemma, role: item.role });
+			});
+			return {
+				// A postposition is its own word on both interlinear lines.
+				words: words.flatMap((word) => {
+					const forms = word.segmented.split(" ");
+					const glosses = word.gloss.split(" ");
+					return forms.map((segmented, i) => ({ segmented, gloss: glosses[i] || "" }));
+				}),
+				sentence: words.map((word) => word.roman).join(" "),
+				unknown,
+				error: null,
+			};
+		},
+	};
+
+	/**
+	 * Glosser Module: Segments conlang text into stems and affixes using the dictionary,
+	 * derivational morphemes and inflectional markers, and glosses it back into English.
+	 */
+	const Glosser = {
+		// Slot order of inflectional suffixes; a word may fill each slot at most once.
+		SUFFIX_ORDER: ["aspect", "tense", "mood", "person", "number", "case", "gender"],
+
+		/**
+		 * Every affix the current grammar can produce, in its primary spelling.
+		 * Derivational affixes sit closest to the stem (rank 0).
+		 */
+		affixes() {
+			const { caseMarking, derivationalMorphemes } = languageState.morphoSyntax;
+			const affixes = [];
+			derivationalMorphemes.forEach((morpheme) => {
+				if (morpheme.form) affixes.push({ roman: Phonology.romanize(morpheme.form).toLowerCase(), gloss: morpheme.func, kind: morpheme.type, rank: 0 });
+			});
+			Object.entries(MorphoSyntax.CATEGORIES).forEach(([category, { values }]) => {
+				MorphoSyntax.categoryValues(category).forEach((value) => {
+					const ipa = MorphoSyntax.marker(category, value);
+					if (!ipa) return;
+					let kind = "suffix";
+					if (category === "case" && caseMarking === "prefix") kind = "prefix";
+					if ((category === "case" && caseMarking === "postposition") || category === "particle") kind = "particle";
+					affixes.push({ roman: Phonology.romanize(ipa).toLowerCase(), gloss: values[value].gloss, kind, rank: 1 + this.SUFFIX_ORDER.indexOf(category), category, value });
+				});
+			});
+			return affixes;
+		},
+
+		// Stems are dictionary forms plus the changed stems of irregular words.
+		_stems() {
+			const stems = [];
+			languageState.generated.dictionary.forEach((entry) => {
+				if (entry.roman) stems.push({ roman: entry.roman.toLowerCase(), entry, irregular: false });
+				if (entry.irregular) stems.push({ roman: Phonology.romanize(entry.irregular.stem.slice(1, -1)).toLowerCase(), entry, irregular: true });
+			});
+			return stems;
+		},
+
+		// All ways of reading a string as a sequence of the given affixes.
+		_segmentAffixes(str, candidates) {
+			if (!str) return [[]];
+			return candidates.filter((affix) => affix.roman && str.startsWith(affix.roman))
+				.flatMap((affix) => this._segmentAffixes(str.slice(affix.roman.length), candidates).map((rest) => [affix, ...rest]));
+		},
+
+		// Affixes moving away from the stem must climb the slot order (derivation may repeat).
+		_inOrder(affixes) {
+			return affixes.every((affix, i) => i === 0 || affix.rank > affixes[i - 1].rank || (affix.rank === 0 && affixes[i - 1].rank === 0));
+		},
+
+		// Whether every inflectional affix of a reading belongs to its part of speech: the
+		// entry's, or the one the outermost derivation makes of it.
+		_fitsPartOfSpeech(analysis) {
+			if (!analysis.entry) return true;
+			const affixes = [...analysis.prefixes, ...analysis.suffixes];
+			const derivations = affixes.filter((affix) => affix.rank === 0);
+			const pos = derivations.length > 0 ? derivations[derivations.length - 1].gloss : analysis.entry.pos;
+			const categories = MorphoSyntax.AFFIX_ORDER[pos] || [];
+			return affixes.every((affix) => affix.rank === 0 || categories.includes(affix.category));
+		},
+
+		/**
+		 * Lists every segmentation of one word: readings whose affixes suit the part of
+		 * speech first, then fewest morphemes first. Hyphens in the input are taken as
+		 * morpheme boundaries every reading has to respect.
+		 */
+		analyzeWord(token, stems = this._stems(), affixes = this.affixes()) {
+			const word = token.toLowerCase();
+			const plain = word.replace(/-/g, "");
+			const required = [];
+			word.split("-").reduce((position, part) => {
+				if (position > 0) required.push(position);
+				return position + part.length;
+			}, 0);
+			const prefixes = affixes.filter((a) => a.kind === "prefix");
+			const suffixes = affixes.filter((a) => a.kind === "suffix");
+			const analyses = [];
+			affixes.filter((a) => a.kind === "particle" && a.roman === plain).forEach((particle) => {
+				analyses.push({ particle, morphs: [{ roman: particle.roman, gloss: particle.gloss }] });
+			});
+			stems.forEach((stem) => {
+				for (let at = plain.indexOf(stem.roman); at !== -1 && stem.roman; at = plain.indexOf(stem.roman, at + 1)) {
+					const before = this._segmentAffixes(plain.slice(0, at), prefixes).filter((seq) => this._inOrder([...seq].reverse()));
+					const after = this._segmentAffixes(plain.slice(at + stem.roman.length), suffixes).filter((seq) => this._inOrder(seq));
+					before.forEach((pre) => after.forEach((post) => {
+						const meaning = stem.entry.meaning.trim().replace(/\s+/g, ".");
+						const { irregular } = stem.entry;
+						const stemGloss = stem.irregular ? `${meaning}\\${MorphoSyntax.glossFeatures({ [irregular.category]: irregular.value })}` : meaning;
+						const morphs = [...pre, { roman: stem.roman, gloss: stemGloss }, ...post];
+						let position = 0;
+						const boundaries = morphs.slice(0, -1).map((morph) => (position += morph.roman.length));
+						if (required.every((b) => boundaries.includes(b))) analyses.push({ entry: stem.entry, irregular: stem.irregular, prefixes: pre, suffixes: post, morphs });
+					}));
+				}
+			});
+			const seen = new Set();
+			const misfit = (analysis) => (this._fitsPartOfSpeech(analysis) ? 0 : 1);
+			return analyses
+				.sort((a, b) => misfit(a) - misfit(b) || a.morphs.length - b.morphs.length)
+				.filter((analysis) => {
+					const key = analysis.morphs.map((m) => `${m.roman}:${m.gloss}`).join("|");
+					if (seen.has(key)) return false;
+					seen.add(key);
+					return true;
+				});
+		},
+
+		/**
+		 * Glosses a conlang sentence word by word.
+		 * @returns {{ words: object[], translation: string }} each word has its token,
+		 * segmented form, gloss, chosen analysis and the number of readings
+		 */
+		gloss(text) {
+			const stems = this._stems();
+			const affixes = this.affixes();
+			const tokens = text.replace(/[.,!?;:"“”‘’()]/g, " ").split(/\s+/).filter(Boolean);
+			const words = tokens.map((token) => {
+				const analyses = this.analyzeWord(token, stems, affixes);
+				const analysis = analyses[0] || null;
+				return {
+					token,
+					analysis,
+					readings: analyses.length,
+					alternatives: analyses.slice(1).map((a) => a.morphs.map((m) => m.gloss).join("-")),
+					segmented: analysis ? analysis.morphs.map((m) => m.roman).join("-") : token,
+					gloss: analysis ? analysis.morphs.map((m) => m.gloss).join("-") : "?",
+				};
+			});
+			return { words, translation: this.backTranslate(words) };
+		},
+
+		/**
+		 * Rebuilds a rough English sentence: case decides subject and object where it is
+		 * marked, word order decides the rest; adjectives join their neighbouring noun.
+		 * Negation and question particles turn it into a negative or a question.
+		 */
+		backTranslate(words) {
+			const { wordOrder, adjectiveOrder } = languageState.morphoSyntax;
+			const items = [];
+			let negative = false;
+			let question = null;
+			words.forEach(({ analysis, token }) => {
+				if (analysis && analysis.particle && analysis.particle.category === "particle") {
+					const { value } = analysis.particle;
+					if (value === "negation") negative = true;
+					else if (value === "question") question = question || "yesNo";
+					else if (value === "who" || value === "what") question = value;
+					return;
+				}
+				if (analysis && analysis.particle) {
+					// A postposition marks the phrase it follows.
+					const target = [...items].reverse().find((item) => item.kind === "noun") || items[items.length - 1];
+					if (target) target.features[analysis.particle.category] = analysis.particle.value;
+					return;
+				}
+				if (!analysis) {
+					items.push({ kind: "noun", english: `[${token}]`, features: {}, adjectives: [] });
+					return;
+				}
+				const features = {};
+				[...analysis.prefixes, ...analysis.suffixes].forEach((affix) => {
+					if (affix.category) features[affix.category] = affix.value;
+				});
+				if (analysis.irregular) features[analysis.entry.irregular.category] = analysis.entry.irregular.value;
+				const english = analysis.entry.meaning.replace(/\s*\(.*\)$/, "");
+				const verbal = ["tense", "aspect", "mood", "person"].some((c) => features[c]);
+				// Inflection outranks the dictionary's part of speech.
+				let kind = "noun";
+				if (!features.case && (verbal || analysis.entry.pos === "verb")) kind = "verb";
+				else if (!features.case && analysis.entry.pos === "adjective") kind = "adjective";
+				items.push({ kind, english, features, adjectives: [] });
+			});
+
+			items.forEach((item, i) => {
+				if (item.kind !== "adjective") return;
+				const neighbours = adjectiveOrder === "AN" ? items.slice(i + 1) : items.slice(0, i).reverse();
+				const noun = neighbours.find((n) => n.kind === "noun");
+				if (noun) noun.adjectives.push(item.english);
+			});
+			const nouns = items.filter((item) => item.kind === "noun");
+			const verb = items.find((item) => item.kind === "verb");
+			let subject = nouns.find((n) => n.features.case === "nominative");
+			let object = nouns.find((n) => n.features.case === "accusative");
+			const indirect = nouns.find((n) => n.features.case === "dative");
+			const unassigned = nouns.filter((n) => n !== subject && n !== object && n !== indirect);
+			// A question word stands in for the role it asks about.
+			wordOrder.replace("V", "").split("").forEach((role) => {
+				if (role === "S" && !subject && question !== "who") subject = unassigned.shift();
+				if (role === "O" && !object && question !== "what") object = unassigned.shift();
+			});
+			const phrase = (noun) => {
+				if (!noun) return "";
+				const head = noun.features.number === "plural" ? English.plural(noun.english) : noun.english;
+				return ["the", ...noun.adjectives, head].join(" ");
+			};
+			if (!verb) {
+				const sentence = [subject, object].map(phrase).filter(Boolean).join(" ");
+				return sentence ? English.sentence(sentence) : "";
+			}
+			const clause = English.clause({
+				subject: phrase(subject),
+				verb: verb.english,
+				object: phrase(object),
+				indirect: phrase(indirect),
+				tense: verb.features.tense || "present",
+				progressive: verb.features.aspect === "progressive",
+				pluralSubject: Boolean(subject && subject.features.number === "plural"),
+				negative,
+				question,
+			});
+			return English.sentence(clause, Boolean(question));
+		},
+	};
+
+	/**
+	 * Diagnostics Module: Statistics about the inventory and the generated dictionary.
+	 */
+	const Diagnostics = {
+		PROBE_SIZE: 200,
+
+		analyze() {
+			return {
+				frequencies: this.phonemeFrequencies(),
+				possibleWords: this.possibleWords(),
+				homophones: this.homophones(),
+				minimalPairs: this.minimalPairs(),
+				rules: this.probeRules(),
+			};
+		},
+
+		_segmentsOf(word) {
+			const { STRESS_MARK } = Phonology;
+			return Phonology.tokenize(word.ipa.replace(/[/\s]/g, "")).filter((s) => s !== STRESS_MARK);
+		},
+
+		/**
+		 * Observed share of each segment in the dictionary next to the configured share.
+		 * Shares are within the segment's group (consonants, vowels, other), like the weights.
+		 */
+		phonemeFrequencies() {
+			const { consonants, vowels, distribution } = languageState.phonology;
+			const groupOf = (segment) => (consonants.includes(segment) ? "C" : vowels.includes(segment) ? "V" : "other");
+			const counts = new Map();
+			const totals = { C: 0, V: 0, other: 0 };
+			languageState.generated.dictionary.forEach((word) => {
+				this._segmentsOf(word).forEach((segment) => {
+					counts.set(segment, (counts.get(segment) || 0) + 1);
+					totals[groupOf(segment)]++;
+				});
+			});
+			const expected = new Map();
+			[consonants, vowels].forEach((group) => {
+				Phonology.describeDistribution(group, distribution.phonemeWeights).forEach(({ item, share }) => expected.set(item, share));
+			});
+			return [...counts.entries()]
+				.map(([segment, count]) => ({ segment, count, share: count / totals[groupOf(segment)], expected: expected.get(segment) }))
+				.sort((a, b) => b.count - a.count);
+		},
+
+		/**
+		 * Upper bound of distinct words: syllable shapes allowed by the templates and the
+		 * positional constraints, raised to each configured syllable count. Boundary
+		 * constraints and rules are ignored.
+		 */
+		possibleWords() {
+			const { consonants, vowels, syllableStructures, distribution, prosody, tones } = languageState.phonology;
+			const onsets = consonants.filter((c) => !distribution.codaOnly.includes(c)).length;
+			const codas = consonants.filter((c) => !distribution.onsetOnly.includes(c)).length;
+			const perSyllable = syllableStructures.reduce((sum, structure) => {
+				const firstVowel = structure.indexOf("V");
+				const lastVowel = structure.lastIndexOf("V");
+				return sum + Array.from(structure).reduce((product, char, i) => {
+					if (char === "V") return product * vowels.length;
+					if (firstVowel !== -1 && i < firstVowel) return product * onsets;
+					if (i > lastVowel) return product * codas;
+					return product * consonants.length;
+				}, 1);
+			}, 0);
+			const toneFactor = tones.enabled ? tones.count : 1;
+			const byCount = Object.keys(prosody.syllableCounts).map(Number).sort((a, b) => a - b)
+				.map((count) => ({ count, words: Math.pow(perSyllable, count) * toneFactor }));
+			return { perSyllable, byCount, total: byCount.reduce((sum, c) => sum + c.words, 0) };
+		},
 
-			const subject = { ...nouns[Math.floor(Math.random() * nouns.length)] };
-			let object = { ...nouns[Math.floor(Math.random() * nouns.length)] };
-			while (object.roman === subject.roman) {
-				object = { ...nouns[Math.floor(Math.random() * nouns.length)] };
+		homophones() {
+			const groups = new Map();
+			languageState.generated.dictionary.forEach((word) => {
+				if (!groups.has(word.ipa)) groups.set(word.ipa, []);
+				groups.get(word.ipa).push(word);
+			});
+			return [...groups.values()].filter((words) => words.length > 1);
+		},
+
+		/**
+		 * Pairs of words of equal length that differ in exactly one segment. Words are
+		 * bucketed by their form with one position blanked out, so this stays near-linear.
+		 */
+		minimalPairs() {
+			const buckets = new Map();
+			const pairs = [];
+			const seen = new Set();
+			languageState.generated.dictionary.forEach((word) => {
+				const segments = this._segmentsOf(word);
+				segments.forEach((_, i) => {
+					const key = `${segments.length}:${segments.slice(0, i).join("\u0001")}\u0002${segments.slice(i + 1).join("\u0001")}`;
+					if (!buckets.has(key)) buckets.set(key, []);
+					buckets.get(key).push({ word, segment: segments[i] });
+				});
+			});
+			buckets.forEach((entries) => {
+				for (let a = 0; a < entries.length; a++) {
+					for (let b = a + 1; b < entries.length; b++) {
+						if (entries[a].segment === entries[b].segment) continue;
+						const id = [entries[a].word.ipa, entries[b].word.ipa].sort().join("|");
+						if (seen.has(id)) continue;
+						seen.add(id);
+						pairs.push({ a: entries[a].word, b: entries[b].word, contrast: [entries[a].segment, entries[b].segment] });
+					}
+				}
+			});
+			return pairs;
+		},
+
+		/**
+		 * Runs the rules over a fixed sample of rule-less forms (the dictionary only holds
+		 * surface forms) and reports per rule: syntax error, firings and new segments.
+		 */
+		probeRules() {
+			const { phonologicalRules, consonants, vowels, syllableStructures } = languageState.phonology;
+			const stats = [];
+			if (consonants.length > 0 && vowels.length > 0 && syllableStructures.length > 0) {
+				Random.seed(`${languageState.seed}:diagnostics`);
+				for (let i = 0; i < this.PROBE_SIZE; i++) {
+					const underlying = Phonology.generateUnderlyingForm();
+					if (underlying) Phonology.applyPhonologicalRules(underlying, stats);
+				}
+			}
+			return phonologicalRules.map((rule, i) => {
+				const stat = stats[i] || { fired: 0, outOfInventory: new Set(), error: null };
+				return {
+					rule,
+					error: Phonology.validateRule(rule) || stat.error,
+					fired: stat.fired,
+					outOfInventory: [...stat.outOfInventory],
+				};
+			});
+		},
+	};
+
+	/**
+	 * Evolution Module: Derives daughter languages by running ordered sound changes
+	 * (written in the phonological rule syntax) over the proto-language's dictionary.
+	 */
+	const Evolution = {
+		createDaughter(name) {
+			return { name, changes: [] };
+		},
+
+		_stripSlashes(ipa) {
+			return ipa.replace(/^\/|\/$/g, "");
+		},
+
+		/**
+		 * Adds the segments a change introduced to the inventory later changes are read
+		 * against, so a new "tʃ" is one segment and V/C cover new vowels and consonants.
+		 */
+		_extendInventory(inventory, change, forms) {
+			const next = { consonants: [...inventory.consonants], vowels: [...inventory.vowels] };
+			const add = (segment) => {
+				if (!segment || segment === Phonology.STRESS_MARK || Phonology.getInventory(next).includes(segment)) return;
+				if (Phonology.isVowel(segment, next.vowels)) next.vowels.push(segment);
+				else next.consonants.push(segment);
+			};
+			const [, replacement = ""] = change.from.split(">").map((s) => s.trim());
+			const letters = Array.from(replacement).filter((c) => !Phonology._isModifier(c));
+			// A two-letter replacement of one kind, such as "tʃ" or "ai", is one new segment.
+			if (letters.length === 2 && !/[[\]A-Z#()|*+?.\\]/.test(replacement)
+				&& new Set(letters.map((c) => Phonology.isVowel(c, next.vowels))).size === 1) {
+				add(replacement);
 			}
-			const verb = { ...verbs[Math.floor(Math.random() * verbs.length)] };
+			forms.forEach((form) => Phonology.tokenize(form, Phonology.getInventory(next)).forEach(add));
+			return next;
+		},
+
+		/**
+		 * Runs a daughter's changes over IPA forms (without slashes), one stage per change.
+		 * @returns {{ stages: { change: object, forms: string[], fired: number, error: string|null }[], inventory: object }}
+		 */
+		evolveForms(forms, changes) {
+			const { consonants, vowels } = languageState.phonology;
+			let inventory = { consonants: [...consonants], vowels: [...vowels] };
+			let current = forms;
+			const stages = changes.map((change) => {
+				const stats = [];
+				const error = Phonology.validateRule(change);
+				const next = error ? current : current.map((form) => Phonology.applyRules(form, [change], stats, inventory));
+				const fired = next.filter((form, i) => form !== current[i]).length;
+				current = next;
+				inventory = this._extendInventory(inventory, change, current);
+				return { change, forms: current, fired, error: error || (stats[0] && stats[0].error) || null };
+			});
+			return { stages, inventory };
+		},
 
-			let subjectPhrase = subject.roman;
-			let humanReadableSubject = subject.meaning;
+		/**
+		 * Evolves the whole dictionary and the grammatical markers of a daughter.
+		 * @returns {{ stages: object[], dictionary: object[], grammar: object, inventory: object }}
+		 */
+		evolve(daughter) {
+			const { dictionary, grammar } = languageState.generated;
+			const markerSlots = Object.entries(grammar.markers).flatMap(([category, values]) => Object.keys(values).map((value) => [category, value]));
+			const irregulars = dictionary.filter((word) => word.irregular);
+			const forms = [
+				...dictionary.map((word) => this._stripSlashes(word.ipa)),
+				...markerSlots.map(([category, value]) => MorphoSyntax.marker(category, value)),
+				...irregulars.map((word) => this._stripSlashes(word.irregular.stem)),
+			];
+			const { stages, inventory } = this.evolveForms(forms, daughter.changes);
+			const final = stages.length > 0 ? stages[stages.length - 1].forms : forms;
+			const evolvedGrammar = { ...grammar, markers: {} };
+			markerSlots.forEach(([category, value], i) => {
+				evolvedGrammar.markers[category] = evolvedGrammar.markers[category] || {};
+				// An affix that only ever existed as an empty string stays unmarked.
+				evolvedGrammar.markers[category][value] = MorphoSyntax.marker(category, value) ? final[dictionary.length + i] : "";
+			});
+			const irregularStart = dictionary.length + markerSlots.length;
+			const evolvedDictionary = dictionary.map((word, i) => {
+				// Hand-typed spellings are kept; generated ones follow the new pronunciation.
+				const roman = word.roman === Phonology.romanize(this._stripSlashes(word.ipa)) ? Phonology.romanize(final[i]) : word.roman;
+				const evolved = { ...word, ipa: `/${final[i]}/`, roman };
+				if (word.irregular) evolved.irregular = { ...word.irregular, stem: `/${final[irregularStart + irregulars.indexOf(word)]}/` };
+				return evolved;
+			});
+			return {
+				stages: stages.map((stage) => ({ ...stage, forms: stage.forms.slice(0, dictionary.length) })),
+				dictionary: evolvedDictionary,
+				grammar: evolvedGrammar,
+				inventory,
+			};
+		},
+
+		/**
+		 * Builds a complete language file (the LanguageFile.serialize shape) for a daughter.
+		 * Its inventory is what the evolved forms actually use; the proto's synchronic rules
+		 * and its own daughters are not carried over.
+		 */
+		toLanguageData(daughter) {
+			const { dictionary, grammar, inventory } = this.evolve(daughter);
+			const used = new Set();
+			const segments = Phonology.getInventory(inventory);
+			const markers = Object.values(grammar.markers).flatMap((values) => Object.values(values));
+			[...dictionary.map((word) => this._stripSlashes(word.ipa)), ...markers]
+				.forEach((form) => Phonology.tokenize(form.split(Phonology.STRESS_MARK).join(""), segments).forEach((s) => used.add(s)));
+			const keepUsed = (list) => (used.size > 0 ? list.filter((s) => used.has(s)) : list);
+			const data = JSON.parse(JSON.stringify(LanguageFile.serialize()));
+			data.seed = `${languageState.seed}:${daughter.name}`;
+			data.phonology.consonants = keepUsed(inventory.consonants);
+			data.phonology.vowels = keepUsed(inventory.vowels);
+			if (data.phonology.consonants.length === 0) data.phonology.consonants = inventory.consonants;
+			if (data.phonology.vowels.length === 0) data.phonology.vowels = inventory.vowels;
+			data.phonology.phonologicalRules = [];
+			data.grammar.markerOverrides = {}; // Overrides are already part of the evolved markers
+			data.lexicon = dictionary;
+			data.generated_grammar_details = grammar;
+			data.evolution = { daughters: [] };
+			return data;
+		},
+	};
+
+	/**
+	 * LanguageFile Module: Validates and normalizes data produced by the JSON exporter.
+	 */
+	const LanguageFile = {
+		WORD_ORDERS: ["SOV", "SVO", "VSO", "VOS", "OVS", "OSV"],
+		ADJECTIVE_ORDERS: ["AN", "NA"],
+		CASE_MARKINGS: ["suffix", "prefix", "postposition"],
+		GENDER_SYSTEMS: ["none", "mf", "mfn"],
+		MORPHEME_TYPES: ["prefix", "suffix"],
+		COMPOUND_HEADS: ["final", "initial"],
+		COMPOUND_FUSIONS: ["none", "rules", "elision"],
+		LOAN_REPAIRS: ["epenthesis", "deletion"],
+
+		serialize() {
+			return {
+				seed: languageState.seed,
+				grammar: languageState.morphoSyntax,
+				phonology: languageState.phonology,
+				lexicon_settings: languageState.lexicon,
+				lexicon: languageState.generated.dictionary,
+				generated_grammar_details: languageState.generated.grammar,
+				orthography: languageState.orthography,
+				evolution: languageState.evolution,
+			};
+		},
+
+		/**
+		 * Checks a parsed language file field by field. Missing optional fields fall back
+		 * to the current state and are reported as warnings; anything malformed is an error.
+		 * @returns {{ errors: string[], warnings: string[], data: object|null }}
+		 */
+		validate(raw) {
+			const errors = [];
+			const warnings = [];
+			const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+			const isString = (v) => typeof v === "string";
+
+			if (!isObject(raw)) {
+				return { errors: ["ファイル全体: JSONオブジェクトではありません。"], warnings, data: null };
+			}
+
+			const optional = (obj, key, path, fallback, check, message) => {
+				if (!(key in obj)) {
+					warnings.push(`${path}: 見つからないため現在の値を使用します。`);
+					return fallback;
+				}
+				if (!check(obj[key])) {
+					errors.push(`${path}: ${message}`);
+					return fallback;
+				}
+				return obj[key];
+			};
+			const stringList = (v) => Array.isArray(v) && v.every((s) => isString(s) && s.trim() !== "");
+			const oneOf = (list) => (v) => list.includes(v);
+
+			// Phonology
+			const phonology = {};
+			if (!isObject(raw.phonology)) {
+				errors.push("phonology: 必須のオブジェクトがありません。");
+			} else {
+				const p = raw.phonology;
+				const current = languageState.phonology;
+				["consonants", "vowels"].forEach((key) => {
+					if (!stringList(p[key]) || p[key].length === 0) {
+						errors.push(`phonology.${key}: 空でない文字列の配列である必要があります。`);
+					} else {
+						phonology[key] = p[key].map((s) => s.trim());
+					}
+				});
+				if (!Array.isArray(p.syllableStructures) || p.syllableStructures.length === 0) {
+					errors.push("phonology.syllableStructures: 空でない配列である必要があります。");
+				} else {
+					p.syllableStructures.forEach((structure, i) => {
+						if (!isString(structure) || !/^[CV]+$/i.test(structure.trim())) {
+							errors.push(`phonology.syllableStructures[${i}]: "C" と "V" のみからなる文字列である必要があります。`);
+						}
+					});
+					phonology.syllableStructures = p.syllableStructures.map((s) => String(s).trim().toUpperCase());
+				}
+				phonology.phonologicalRules = optional(p, "phonologicalRules", "phonology.phonologicalRules", [], Array.isArray, "配列である必要があります。");
+				phonology.phonologicalRules.forEach((rule, i) => {
+					if (!isObject(rule) || !isString(rule.from) || !isString(rule.to)) {
+						errors.push(`phonology.phonologicalRules[${i}]: "from" と "to" の文字列が必要です。`);
+					}
+				});
+				const distribution = optional(p, "distribution", "phonology.distribution", current.distribution, isObject, "オブジェクトである必要があります。");
+				const weightMap = (v) => isObject(v) && Object.values(v).every((w) => typeof w === "number" && w >= 0);
+				phonology.distribution = {
+					mode: optional(distribution, "mode", "phonology.distribution.mode", current.distribution.mode, oneOf(["zipf", "uniform"]), "zipf または uniform である必要があります。"),
+					phonemeWeights: optional(distribution, "phonemeWeights", "phonology.distribution.phonemeWeights", {}, weightMap, "値が0以上の数値のオブジェクトである必要があります。"),
+					syllableWeights: optional(distribution, "syllableWeights", "phonology.distribution.syllableWeights", {}, weightMap, "値が0以上の数値のオブジェクトである必要があります。"),
+					onsetOnly: optional(distribution, "onsetOnly", "phonology.distribution.onsetOnly", [], stringList, "文字列の配列である必要があります。"),
+					codaOnly: optional(distribution, "codaOnly", "phonology.distribution.codaOnly", [], stringList, "文字列の配列である必要があります。"),
+					bannedSequences: optional(distribution, "bannedSequences", "phonology.distribution.bannedSequences", [], stringList, "文字列の配列である必要があります。"),
+				};
+				const prosody = optional(p, "prosody", "phonology.prosody", current.prosody, isObject, "オブジェクトである必要があります。");
+				phonology.prosody = {
+					syllableCounts: optional(prosody, "syllableCounts", "phonology.prosody.syllableCounts", current.prosody.syllableCounts,
+						(v) => weightMap(v) && Object.keys(v).length > 0 && Object.keys(v).every((k) => /^[1-9]$/.test(k)), "1〜9をキーとする重みのオブジェクトである必要があります。"),
+					stress: optional(prosody, "stress", "phonology.prosody.stress", current.prosody.stress,
+						oneOf(["none", "initial", "penultimate", "final", "weight", "free"]), "none, initial, penultimate, final, weight, free のいずれかである必要があります。"),
+					maxCluster: optional(prosody, "maxCluster", "phonology.prosody.maxCluster", current.prosody.maxCluster, (v) => Number.isInteger(v) && v >= 0, "0以上の整数である必要があります。"),
+					avoidHiatus: optional(prosody, "avoidHiatus", "phonology.prosody.avoidHiatus", current.prosody.avoidHiatus, (v) => typeof v === "boolean", "真偽値である必要があります。"),
+				};
+				phonology.naturalClasses = optional(p, "naturalClasses", "phonology.naturalClasses", [], Array.isArray, "配列である必要があります。");
+				phonology.naturalClasses.forEach((naturalClass, i) => {
+					if (!isObject(naturalClass) || !isString(naturalClass.name) || !/^[A-Z]$/.test(naturalClass.name) || !isString(naturalClass.members)) {
+						errors.push(`phonology.naturalClasses[${i}]: 大文字1字の "name" と文字列の "members" が必要です。`);
+					}
+				});
+				const tones = optional(p, "tones", "phonology.tones", current.tones, isObject, "オブジェクトである必要があります。");
+				phonology.tones = {
+					enabled: optional(tones, "enabled", "phonology.tones.enabled", current.tones.enabled, (v) => typeof v === "boolean", "真偽値である必要があります。"),
+					count: optional(tones, "count", "phonology.tones.count", current.tones.count, (v) => Number.isInteger(v) && v >= 2 && v <= 9, "2から9の整数である必要があります。"),
+				};
+			}
+
+			// Morphology & syntax (exported under "grammar")
+			const grammar = {};
+			if (!isObject(raw.grammar)) {
+				errors.push("grammar: 必須のオブジェクトがありません。");
+			} else {
+				const g = raw.grammar;
+				const current = languageState.morphoSyntax;
+				grammar.wordOrder = optional(g, "wordOrder", "grammar.wordOrder", current.wordOrder, oneOf(this.WORD_ORDERS), `${this.WORD_ORDERS.join(", ")} のいずれかである必要があります。`);
+				grammar.adjectiveOrder = optional(g, "adjectiveOrder", "grammar.adjectiveOrder", current.adjectiveOrder, oneOf(this.ADJECTIVE_ORDERS), "AN または NA である必要があります。");
+				grammar.caseMarking = optional(g, "caseMarking", "grammar.caseMarking", current.caseMarking, oneOf(this.CASE_MARKINGS), `${this.CASE_MARKINGS.join(", ")} のいずれかである必要があります。`);
+				grammar.irregularityRate = optional(g, "irregularityRate", "grammar.irregularityRate", current.irregularityRate, (v) => typeof v === "number" && v >= 0 && v <= 0.2, "0から0.2の数値である必要があります。");
+				grammar.grammaticalGender = optional(g, "grammaticalGender", "grammar.grammaticalGender", current.grammaticalGender, oneOf(this.GENDER_SYSTEMS), `${this.GENDER_SYSTEMS.join(", ")} のいずれかである必要があります。`);
+				grammar.genderAgreement = optional(g, "genderAgreement", "grammar.genderAgreement", current.genderAgreement, (v) => typeof v === "boolean", "真偽値である必要があります。");
+				grammar.markerSeed = optional(g, "markerSeed", "grammar.markerSeed", "", isString, "文字列である必要があります。");
+				grammar.markerOverrides = {};
+				if ("markerOverrides" in g) {
+					const valid = isObject(g.markerOverrides) && Object.values(g.markerOverrides).every((values) => isObject(values) && Object.values(values).every(isString));
+					if (valid) grammar.markerOverrides = g.markerOverrides;
+					else errors.push("grammar.markerOverrides: カテゴリごとに文字列の値を持つオブジェクトである必要があります。");
+				}
+				const inflection = optional(g, "inflection", "grammar.inflection", current.inflection, isObject, "オブジェクトである必要があります。");
+				grammar.inflection = {};
+				Object.keys(current.inflection).forEach((category) => {
+					const known = Object.keys(MorphoSyntax.CATEGORIES[category].values);
+					grammar.inflection[category] = optional(inflection, category, `grammar.inflection.${category}`, current.inflection[category],
+						(v) => Array.isArray(v) && v.every((value) => known.includes(value)), `${known.join(", ")} から選んだ配列である必要があります。`);
+				});
+				const sentences = optional(g, "exampleSentences", "grammar.exampleSentences", current.exampleSentences, isObject, "オブジェクトである必要があります。");
+				const constructions = Object.keys(MorphoSyntax.CONSTRUCTIONS);
+				grammar.exampleSentences = {
+					count: optional(sentences, "count", "grammar.exampleSentences.count", current.exampleSentences.count, (v) => Number.isInteger(v) && v >= 1 && v <= 20, "1から20の整数である必要があります。"),
+					constructions: optional(sentences, "constructions", "grammar.exampleSentences.constructions", current.exampleSentences.constructions,
+						(v) => Array.isArray(v) && v.every((c) => constructions.includes(c)), `${constructions.join(", ")} から選んだ配列である必要があります。`),
+				};
+				grammar.derivationalMorphemes = optional(g, "derivationalMorphemes", "grammar.derivationalMorphemes", [], Array.isArray, "配列である必要があります。");
+				grammar.derivationalMorphemes.forEach((morpheme, i) => {
+					if (!isObject(morpheme)) {
+						errors.push(`grammar.derivationalMorphemes[${i}]: オブジェクトである必要があります。`);
+						return;
+					}
+					if (!this.MORPHEME_TYPES.includes(morpheme.type)) errors.push(`grammar.derivationalMorphemes[${i}].type: prefix または suffix である必要があります。`);
+					if (!isString(morpheme.form) || !morpheme.form) errors.push(`grammar.derivationalMorphemes[${i}].form: 空でない文字列である必要があります。`);
+					if (!isString(morpheme.func) || !morpheme.func) errors.push(`grammar.derivationalMorphemes[${i}].func: 空でない文字列である必要があります。`);
+				});
+				grammar.derivationDepth = optional(g, "derivationDepth", "grammar.derivationDepth", current.derivationDepth, (v) => Number.isInteger(v) && v >= 1 && v <= 3, "1から3の整数である必要があります。");
+				const compounding = optional(g, "compounding", "grammar.compounding", current.compounding, isObject, "オブジェクトである必要があります。");
+				grammar.compounding = {
+					head: optional(compounding, "head", "grammar.compounding.head", current.compounding.head, oneOf(this.COMPOUND_HEADS), `${this.COMPOUND_HEADS.join(", ")} のいずれかである必要があります。`),
+					linker: optional(compounding, "linker", "grammar.compounding.linker", current.compounding.linker, isString, "文字列である必要があります。"),
+					fusion: optional(compounding, "fusion", "grammar.compounding.fusion", current.compounding.fusion, oneOf(this.COMPOUND_FUSIONS), `${this.COMPOUND_FUSIONS.join(", ")} のいずれかである必要があります。`),
+				};
+			}
+
+			// Dictionary
+			let dictionary = [];
+			if (!Array.isArray(raw.lexicon)) {
+				errors.push("lexicon: 単語の配列がありません。");
+			} else {
+				raw.lexicon.forEach((word, i) => {
+					if (!isObject(word)) {
+						errors.push(`lexicon[${i}]: オブジェクトである必要があります。`);
+						return;
+					}
+					["ipa", "roman", "pos", "meaning"].forEach((key) => {
+						if (!isString(word[key])) errors.push(`lexicon[${i}].${key}: 文字列である必要があります。`);
+					});
+					if (word.gender !== undefined && word.gender !== null && !isString(word.gender)) {
+						errors.push(`lexicon[${i}].gender: 文字列または null である必要があります。`);
+					}
+					if (word.locked !== undefined && typeof word.locked !== "boolean") {
+						errors.push(`lexicon[${i}].locked: 真偽値である必要があります。`);
+					}
+					if (word.irregular !== undefined && !(isObject(word.irregular) && isString(word.irregular.stem)
+						&& isString(word.irregular.category) && isString(word.irregular.value))) {
+						errors.push(`lexicon[${i}].irregular: "stem", "category", "value" の文字列を持つオブジェクトである必要があります。`);
+					}
+					if (word.valency !== undefined && ![1, 2, 3].includes(word.valency)) {
+						errors.push(`lexicon[${i}].valency: 1, 2, 3 のいずれかである必要があります。`);
+					}
+					["complement", "animate", "countable"].forEach((key) => {
+						if (word[key] !== undefined && typeof word[key] !== "boolean") errors.push(`lexicon[${i}].${key}: 真偽値である必要があります。`);
+					});
+					if (word.senses !== undefined && !(Array.isArray(word.senses)
+						&& word.senses.every((sense) => isObject(sense) && isString(sense.meaning) && sense.meaning.trim() !== "" && isString(sense.pos)))) {
+						errors.push(`lexicon[${i}].senses: "meaning" と "pos" の文字列を持つオブジェクトの配列である必要があります。`);
+					}
+					if (word.register !== undefined && !(word.register in Lexicon.REGISTERS)) {
+						errors.push(`lexicon[${i}].register: ${Object.keys(Lexicon.REGISTERS).join(", ")} のいずれかである必要があります。`);
+					}
+					if (word.dialect !== undefined && !(isString(word.dialect) && word.dialect.trim() !== "")) {
+						errors.push(`lexicon[${i}].dialect: 空でない文字列である必要があります。`);
+					}
+					if (word.custom !== undefined && !(isObject(word.custom) && Object.values(word.custom).every(isString))) {
+						errors.push(`lexicon[${i}].custom: 文字列の値を持つオブジェクトである必要があります。`);
+					}
+					if (word.id !== undefined && (!isString(word.id) || !word.id)) {
+						errors.push(`lexicon[${i}].id: 空でない文字列である必要があります。`);
+					} else if (word.id !== undefined && raw.lexicon.findIndex((other) => isObject(other) && other.id === word.id) !== i) {
+						errors.push(`lexicon[${i}].id: "${word.id}" が重複しています。`);
+					}
+					const { etymology } = word;
+					if (etymology !== undefined) {
+						const valid = isObject(etymology) && (etymology.type === "loanword"
+							? isObject(etymology.loan) && isString(etymology.loan.language) && isString(etymology.loan.word)
+							: Lexicon.ETYMOLOGY_TYPES.includes(etymology.type) && stringList(etymology.sources) && stringList(etymology.roots)
+								&& Array.isArray(etymology.morphemes) && etymology.morphemes.every(isObject));
+						if (!valid) errors.push(`lexicon[${i}].etymology: "type" (${Lexicon.ETYMOLOGY_TYPES.join(", ")}) と、それに合う "sources", "roots", "morphemes" または "loan" を持つオブジェクトである必要があります。`);
+					}
+				});
+				// Entries from before argument metadata take it from the built-in meanings.
+				// Items that are not objects were reported above and are left as they are.
+				const annotated = (word) => ["valency", "animate", "countable"].some((key) => key in word);
+				dictionary = raw.lexicon.map((word) => (!isObject(word) ? word : Lexicon.applyTags({ ...word, gender: word.gender || null },
+					annotated(word) ? Lexicon.tagsOf(word) : Lexicon.builtInTags(word.meaning, word.pos) || [])));
+				dictionary.forEach((word) => {
+					if (isObject(word) && Array.isArray(word.senses) && word.senses.every(isObject)) {
+						word.senses = word.senses.map((sense) => Lexicon.applyTags({ ...sense }, Lexicon.tagsOf(sense)));
+					}
+				});
+				// Older files have no ids, name etymological sources by meaning and mark
+				// loanwords only in the meaning, e.g. "computer (loanword)".
+				if (errors.length === 0) {
+					Lexicon.assignIds(dictionary, []);
+					const ids = new Set(dictionary.map((word) => word.id));
+					const byMeaning = new Map(dictionary.map((word) => [word.meaning, word.id]));
+					const resolve = (ref) => (ids.has(ref) ? ref : byMeaning.get(ref));
+					dictionary.forEach((word, i) => {
+						const loan = /^(.*) \(loanword\)$/.exec(word.meaning);
+						if (loan && !word.etymology) {
+							word.meaning = loan[1];
+							word.etymology = { type: "loanword", loan: { language: "English", word: loan[1] } };
+						}
+						if (!Lexicon.isFormed(word)) return;
+						const sources = word.etymology.sources.map(resolve);
+						const roots = word.etymology.roots.map(resolve);
+						if ([...sources, ...roots].some((id) => !id)) warnings.push(`lexicon[${i}].etymology: 辞書にない語への参照を削除しました。`);
+						word.etymology = { ...word.etymology, sources: sources.filter(Boolean), roots: roots.filter(Boolean) };
+					});
+				}
+			}
+
+			// Optional sections (absent in files exported by older versions)
+			const seed = optional(raw, "seed", "seed", languageState.seed, (v) => isString(v) || typeof v === "number", "文字列である必要があります。");
+			const lexiconSettings = {};
+			if (!("lexicon_settings" in raw)) {
+				warnings.push("lexicon_settings: 見つからないため現在の値を使用します。");
+				Object.assign(lexiconSettings, languageState.lexicon);
+			} else if (!isObject(raw.lexicon_settings)) {
+				errors.push("lexicon_settings: オブジェクトである必要があります。");
+			} else {
+				const l = raw.lexicon_settings;
+				const current = languageState.lexicon;
+				lexiconSettings.semanticFields = optional(l, "semanticFields", "lexicon_settings.semanticFields", current.semanticFields, stringList, "文字列の配列である必要があります。");
+				const customField = (v) => isObject(v) && isString(v.name) && v.name.trim() !== "" && stringList(v.tags) && stringList(v.meanings);
+				lexiconSettings.customFields = optional(l, "customFields", "lexicon_settings.customFields", current.customFields, (v) => Array.isArray(v) && v.every(customField), "{ name, tags, meanings } (tags と meanings は文字列の配列) の配列である必要があります。");
+				const rate = (v) => typeof v === "number" && v >= 0 && v <= 1;
+				["homophonyRate", "polysemyRate", "synonymRate"].forEach((key) => {
+					lexiconSettings[key] = optional(l, key, `lexicon_settings.${key}`, current[key], rate, "0〜1 の数値である必要があります。");
+				});
+				lexiconSettings.dialects = optional(l, "dialects", "lexicon_settings.dialects", current.dialects, stringList, "文字列の配列である必要があります。");
+				lexiconSettings.prioritizeFields = optional(l, "prioritizeFields", "lexicon_settings.prioritizeFields", current.prioritizeFields, (v) => typeof v === "boolean", "真偽値である必要があります。");
+				lexiconSettings.rootCount = optional(l, "rootCount", "lexicon_settings.rootCount", current.rootCount, (v) => Number.isInteger(v) && v > 0, "正の整数である必要があります。");
+				const loanwords = optional(l, "loanwords", "lexicon_settings.loanwords", current.loanwords, (v) => isObject(v) && typeof v.enabled === "boolean", "{ enabled: 真偽値 } である必要があります。");
+				const lp = "lexicon_settings.loanwords";
+				const loanSource = (v) => isObject(v) && isString(v.word) && v.word.trim() !== "" && (v.ipa === undefined || isString(v.ipa));
+				lexiconSettings.loanwords = {
+					enabled: loanwords.enabled,
+					rate: optional(loanwords, "rate", `${lp}.rate`, current.loanwords.rate, (v) => typeof v === "number" && v >= 0 && v <= 1, "0〜1 の数値である必要があります。"),
+					language: optional(loanwords, "language", `${lp}.language`, current.loanwords.language, (v) => isString(v) && v.trim() !== "", "空でない文字列である必要があります。"),
+					repair: optional(loanwords, "repair", `${lp}.repair`, current.loanwords.repair, oneOf(this.LOAN_REPAIRS), `${this.LOAN_REPAIRS.join(", ")} のいずれかである必要があります。`),
+					words: optional(loanwords, "words", `${lp}.words`, current.loanwords.words, (v) => Array.isArray(v) && v.every(loanSource), "{ word, ipa? } の配列である必要があります。")
+						.map((source) => ({ word: source.word.trim(), ipa: (source.ipa || "").trim() })),
+				};
+			}
+
+			const generatedGrammar = JSON.parse(JSON.stringify(languageState.generated.grammar));
+			if (!("generated_grammar_details" in raw)) {
+				warnings.push("generated_grammar_details: 見つからないため現在の値を使用します。");
+			} else if (!isObject(raw.generated_grammar_details)) {
+				errors.push("generated_grammar_details: オブジェクトである必要があります。");
+			} else {
+				const d = raw.generated_grammar_details;
+				if ("markers" in d) {
+					if (!isObject(d.markers) || !Object.values(d.markers).every((values) => isObject(values) && Object.values(values).every(isString))) {
+						errors.push("generated_grammar_details.markers: カテゴリごとに文字列の値を持つオブジェクトである必要があります。");
+					} else {
+						Object.entries(d.markers).forEach(([category, values]) => {
+							generatedGrammar.markers[category] = { ...generatedGrammar.markers[category], ...values };
+						});
+					}
+				} else {
+					// Files from before inflectional categories kept a fixed set of markers.
+					const { markers } = generatedGrammar;
+					const legacy = { subjectMarker: ["case", "nominative"], objectMarker: ["case", "accusative"], pluralMarker: ["number", "plural"] };
+					Object.entries(legacy).forEach(([key, [category, value]]) => {
+						markers[category][value] = optional(d, key, `generated_grammar_details.${key}`, markers[category][value], isString, "文字列である必要があります。");
+					});
+					const tenses = optional(d, "tenses", "generated_grammar_details.tenses", markers.tense, isObject, "オブジェクトである必要があります。");
+					Object.entries(tenses).forEach(([key, value]) => {
+						if (!isString(value)) errors.push(`generated_grammar_details.tenses.${key}: 文字列である必要があります。`);
+					});
+					markers.tense = { ...markers.tense, ...tenses };
+				}
+			}
+
+			let orthography = JSON.parse(JSON.stringify(languageState.orthography));
+			if (!("orthography" in raw)) {
+				warnings.push("orthography: 見つからないため現在の値を使用します。");
+			} else if (!isObject(raw.orthography) || !Array.isArray(raw.orthography.schemes) || raw.orthography.schemes.length === 0) {
+				errors.push("orthography: 空でない \"schemes\" 配列を持つオブジェクトである必要があります。");
+			} else {
+				const o = raw.orthography;
+				o.schemes.forEach((scheme, i) => {
+					const path = `orthography.schemes[${i}]`;
+					if (!isObject(scheme)) {
+						errors.push(`${path}: オブジェクトである必要があります。`);
+						return;
+					}
+					if (!isString(scheme.name) || !scheme.name.trim()) errors.push(`${path}.name: 空でない文字列である必要があります。`);
+					if (typeof scheme.inheritDefaults !== "boolean") errors.push(`${path}.inheritDefaults: 真偽値である必要があります。`);
+					if (!isObject(scheme.map) || !Object.values(scheme.map).every(isString)) errors.push(`${path}.map: 値が文字列のオブジェクトである必要があります。`);
+					if (!Array.isArray(scheme.rules) || !scheme.rules.every((r) => isObject(r) && isString(r.from) && isString(r.to))) {
+						errors.push(`${path}.rules: "from" と "to" を持つ規則の配列である必要があります。`);
+					}
+				});
+				if (!Number.isInteger(o.primary) || o.primary < 0 || o.primary >= o.schemes.length) {
+					errors.push("orthography.primary: schemes の有効な添字である必要があります。");
+				}
+				orthography = o;
+			}
+
+			let evolution = { daughters: [] };
+			if ("evolution" in raw) {
+				if (!isObject(raw.evolution) || !Array.isArray(raw.evolution.daughters)) {
+					errors.push("evolution: \"daughters\" 配列を持つオブジェクトである必要があります。");
+				} else {
+					raw.evolution.daughters.forEach((daughter, i) => {
+						const path = `evolution.daughters[${i}]`;
+						if (!isObject(daughter)) {
+							errors.push(`${path}: オブジェクトである必要があります。`);
+							return;
+						}
+						if (!isString(daughter.name) || !daughter.name.trim()) errors.push(`${path}.name: 空でない文字列である必要があります。`);
+						if (!Array.isArray(daughter.changes) || !daughter.changes.every((c) => isObject(c) && isString(c.from) && isString(c.to))) {
+							errors.push(`${path}.changes: "from" と "to" を持つ音変化の配列である必要があります。`);
+						}
+					});
+					evolution = raw.evolution;
+				}
+			}
+
+			if (errors.length > 0) return { errors, warnings, data: null };
+			return {
+				errors,
+				warnings,
+				data: { seed: String(seed), phonology, morphoSyntax: grammar, lexicon: lexiconSettings, dictionary, grammar: generatedGrammar, orthography, evolution },
+			};
+		},
+	};
+
+	/**
+	 * ProjectStore Module: Keeps several named workspaces in localStorage.
+	 * The index (names, active project) and each project's data are stored under separate
+	 * keys so autosaving one project never rewrites the others.
+	 */
+	const ProjectStore = {
+		INDEX_KEY: "conlang-generator:projects",
+		PROJECT_KEY_PREFIX: "conlang-generator:project:",
+
+		loadIndex() {
+			try {
+				const index = JSON.parse(localStorage.getItem(this.INDEX_KEY));
+				if (index && Array.isArray(index.projects)) return index;
+			} catch (e) {
+				console.error("Failed to read project index:", e);
+			}
+			return { activeId: null, projects: [] };
+		},
+
+		saveIndex(index) {
+			localStorage.setItem(this.INDEX_KEY, JSON.stringify(index));
+		},
+
+		load(id) {
+			try {
+				return JSON.parse(localStorage.getItem(this.PROJECT_KEY_PREFIX + id));
+			} catch (e) {
+				console.error("Failed to read project:", id, e);
+				return null;
+			}
+		},
+
+		save(id, workspace) {
+			localStorage.setItem(this.PROJECT_KEY_PREFIX + id, JSON.stringify(workspace));
+		},
+
+		remove(id) {
+			localStorage.removeItem(this.PROJECT_KEY_PREFIX + id);
+		},
+
+		createId() {
+			return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+		},
+	};
+
+	/**
+	 * Exporters Module: The registry of export formats. Each format builds its output
+	 * text from a context gathered by the UI ({ title, summary, data? }); formats marked
+	 * "print" are printed instead of downloaded.
+	 */
+	const Exporters = {
+		LANGUAGE_CODE: "qaa", // ISO 639 private-use code for the conlang
+
+		formats: {
+			json: {
+				label: "JSON", filename: "language.json", mimeType: "application/json",
+				build: (context) => JSON.stringify(context.data || LanguageFile.serialize(), null, 2),
+			},
+			csv: { label: "CSV", filename: "lexicon.csv", mimeType: "text/csv", build: () => Exporters.csv() },
+			anki: { label: "Anki 単語カード (TSV)", filename: "flashcards.tsv", mimeType: "text/tab-separated-values", build: (context) => Exporters.anki(context) },
+			lift: { label: "LIFT (Lexique Pro)", filename: "lexicon.lift", mimeType: "application/xml", build: () => Exporters.lift() },
+			markdown: { label: "文法スケッチ (Markdown)", filename: "grammar-sketch.md", mimeType: "text/markdown", build: (context) => Exporters.markdown(context) },
+			html: { label: "文法スケッチ (HTML)", filename: "grammar-sketch.html", mimeType: "text/html", build: (context) => Exporters.html(context) },
+			print: { label: "印刷用レイアウト", print: true, build: (context) => Exporters.html(context) },
+		},
+
+		csv() {
+			const { dictionary } = languageState.generated;
+			const { schemes, primary } = languageState.orthography;
+			// Secondary orthographies get one extra column each, headed by the scheme name.
+			const otherSchemes = schemes.filter((_, i) => i !== primary);
+			// Custom columns brought in by the wordlist importer follow them.
+			const customColumns = [...new Set(dictionary.flatMap((word) => Object.keys(word.custom || {})))];
+			const quote = (val) => `"${String(val).replace(/"/g, '""')}"`;
+			let csvContent = ["ipa", "roman", "pos", "meaning", "gender", "senses", "register", "dialect", ...otherSchemes.map((scheme) => scheme.name), ...customColumns].map(quote).join(",") + "\n";
+			dictionary.forEach((word) => {
+				const row = [word.ipa, word.roman, word.pos, word.meaning, word.gender || "",
+					Lexicon.formatSenses(word), word.register || "", word.dialect || "",
+					...otherSchemes.map((scheme) => Orthography.spell(word.ipa.slice(1, -1), scheme)),
+					...customColumns.map((column) => (word.custom && word.custom[column]) || "")];
+				csvContent += row.map(quote).join(",") + "\n";
+			});
+			return csvContent;
+		},
+
+		/**
+		 * Anki import file with a card in each direction per word, tagged with the
+		 * part of speech and the direction so either deck half can be suspended.
+		 */
+		anki({ title }) {
+			const field = (text) => String(text).replace(/[\t\r\n]+/g, " ");
+			const lines = ["#separator:tab", "#html:false", `#deck:${field(title)}`, "#tags column:3"];
+			languageState.generated.dictionary.forEach((word) => {
+				const conlang = `${word.roman} ${word.ipa}`;
+				const usage = Lexicon.usageOf(word);
+				const english = `${Lexicon.glossOf(word)} (${word.pos}${usage ? `; ${usage}` : ""})`;
+				lines.push([conlang, english, `${word.pos} conlang-to-english`].map(field).join("\t"));
+				lines.push([english, conlang, `${word.pos} english-to-conlang`].map(field).join("\t"));
+			});
+			return lines.join("\n") + "\n";
+		},
+
+		/**
+		 * LIFT 0.13 dictionary: the primary spelling as the lexical unit, IPA as the
+		 * pronunciation, a sense per meaning, register and dialect as traits, and
+		 * etymology as a borrowing or as component-lexeme relations to the source entries.
+		 */
+		lift() {
+			const doc = document.implementation.createDocument(null, "lift", null);
+			const root = doc.documentElement;
+			root.setAttribute("version", "0.13");
+			root.setAttribute("producer", "conlang-generator");
+			const element = (parent, name, attributes = {}) => {
+				const node = doc.createElementNS(null, name);
+				Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+				parent.appendChild(node);
+				return node;
+			};
+			const form = (parent, lang, text) => {
+				element(element(parent, "form", { lang }), "text").textContent = text;
+			};
+			const byId = Lexicon.indexById();
+			languageState.generated.dictionary.forEach((word) => {
+				const entry = element(root, "entry", { id: word.id });
+				form(element(entry, "lexical-unit"), this.LANGUAGE_CODE, word.roman);
+				form(element(entry, "pronunciation"), `${this.LANGUAGE_CODE}-fonipa`, word.ipa.replace(/^\/|\/$/g, ""));
+				Lexicon.readingsOf(word).forEach((reading, i) => {
+					const sense = element(entry, "sense", { id: `${word.id}-${i + 1}` });
+					element(sense, "grammatical-info", { value: reading.pos });
+					element(element(sense, "gloss", { lang: "en" }), "text").textContent = reading.meaning;
+				});
+				if (word.gender) element(entry, "trait", { name: "gender", value: word.gender });
+				if (word.register) element(entry, "trait", { name: "usage-type", value: word.register });
+				if (word.dialect) element(entry, "trait", { name: "dialect-labels", value: word.dialect });
+				Object.entries(word.custom || {}).forEach(([name, text]) => form(element(entry, "field", { type: name }), "en", text));
+				if (!word.etymology) return;
+				if (word.etymology.type === "loanword") {
+					const { language, word: source } = word.etymology.loan;
+					form(element(entry, "etymology", { type: "borrowed", source: language }), "en", source);
+				} else {
+					word.etymology.sources
+						.filter((id) => byId.has(id))
+						.forEach((id) => element(entry, "relation", { type: "_component-lexeme", ref: id }));
+				}
+			});
+			return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}\n`;
+		},
+
+		/** The lexicon rows shared by the grammar sketches, in the language's alphabetical order. */
+		lexiconRows() {
+			const byId = Lexicon.indexById();
+			return Orthography.sortWords(languageState.generated.dictionary).map((word) =>
+				[word.roman, word.ipa, word.pos, Lexicon.glossOf(word), Lexicon.usageOf(word), Lexicon.describeEtymology(word, byId)]);
+		},
+
+		LEXICON_HEADINGS: ["綴り", "IPA", "品詞", "意味", "用法", "語源"],
+
+		markdown({ title, summary }) {
+			const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+			const lines = [`# ${title}: 文法スケッチ`, ""];
+			summary.forEach((section) => {
+				lines.push(`## ${section.title}`, "");
+				section.items.forEach(({ label, value }) => lines.push(`- **${label}**: ${value}`));
+				lines.push("");
+			});
+			const rows = this.lexiconRows();
+			lines.push(`## 語彙 (${rows.length}語)`, "");
+			lines.push(`| ${this.LEXICON_HEADINGS.join(" | ")} |`, `|${this.LEXICON_HEADINGS.map(() => "---").join("|")}|`);
+			rows.forEach((row) => lines.push(`| ${row.map(cell).join(" | ")} |`));
+			return lines.join("\n") + "\n";
+		},
+
+		/**
+		 * A standalone HTML page laid out for both screen and paper: the table header
+		 * repeats on every printed page and rows are never split across pages.
+		 */
+		html({ title, summary }) {
+			const doc = document.implementation.createHTMLDocument(`${title}: 文法スケッチ`);
+			const meta = doc.createElement("meta");
+			meta.setAttribute("charset", "utf-8");
+			doc.head.prepend(meta);
+			const style = doc.createElement("style");
+			style.textContent = [
+				"body { font-family: serif; max-width: 50rem; margin: 2rem auto; line-height: 1.5; color: #111; }",
+				"h1, h2 { break-after: avoid; }",
+				"table { width: 100%; border-collapse: collapse; }",
+				"th, td { border-bottom: 1px solid #999; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }",
+				"thead { display: table-header-group; }",
+				"tr { break-inside: avoid; }",
+				"@page { margin: 2cm; }",
+				"@media print { body { margin: 0; max-width: none; font-size: 10pt; } }",
+			].join("\n");
+			doc.head.appendChild(style);
+			const append = (parent, tag, text) => {
+				const node = doc.createElement(tag);
+				if (text !== undefined) node.textContent = text;
+				parent.appendChild(node);
+				return node;
+			};
+			append(doc.body, "h1", `${title}: 文法スケッチ`);
+			summary.forEach((section) => {
+				append(doc.body, "h2", section.title);
+				const ul = append(doc.body, "ul");
+				section.items.forEach(({ label, value }) => {
+					const li = append(ul, "li");
+					append(li, "b", `${label}: `);
+					li.appendChild(doc.createTextNode(value));
+				});
+			});
+			const rows = this.lexiconRows();
+			append(doc.body, "h2", `語彙 (${rows.length}語)`);
+			const table = append(doc.body, "table");
+			const headRow = append(append(table, "thead"), "tr");
+			this.LEXICON_HEADINGS.forEach((heading) => append(headRow, "th", heading));
+			const tbody = append(table, "tbody");
+			rows.forEach((row) => {
+				const tr = append(tbody, "tr");
+				row.forEach((text) => append(tr, "td", text));
+			});
+			return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+		},
+	};
+
+	/**
+	 * WordlistImport Module: Reads an existing wordlist from CSV or TSV, maps its columns
+	 * onto dictionary fields, and infers the phoneme inventory and syllable templates
+	 * from its IPA so generated words can match the imported ones.
+	 */
+	const WordlistImport = {
+		FIELDS: { ipa: "IPA", roman: "ローマ字", pos: "品詞", meaning: "意味", gender: "文法性", senses: "他の語義", register: "位相", dialect: "方言", custom: "独自列", skip: "無視" },
+
+		// Header names recognized for each field, compared case-insensitively.
+		HEADER_ALIASES: {
+			ipa: ["ipa", "発音", "pronunciation", "phonemic"],
+			roman: ["roman", "ローマ字", "綴り", "spelling", "word", "form", "headword"],
+			pos: ["pos", "品詞", "part of speech", "class"],
+			meaning: ["meaning", "意味", "gloss", "english", "definition"],
+			gender: ["gender", "文法性"],
+			senses: ["senses", "他の語義", "other senses"],
+			register: ["register", "位相", "usage"],
+			dialect: ["dialect", "方言"],
+		},
+
+		POS_ALIASES: { 名詞: "noun", 動詞: "verb", 形容詞: "adjective", n: "noun", v: "verb", adj: "adjective" },
+		GENDER_ALIASES: { m: "masculine", f: "feminine", n: "neuter", 男性: "masculine", 女性: "feminine", 中性: "neuter" },
+
+		/**
+		 * Splits CSV or TSV text into rows of cells. Tabs in the first line select TSV;
+		 * otherwise cells are comma-separated and may be quoted, with "" for a literal quote.
+		 */
+		parse(text) {
+			const source = text.replace(/^\uFEFF/, "");
+			const delimiter = source.split("\n", 1)[0].includes("\t") ? "\t" : ",";
+			const rows = [];
+			let row = [];
+			let cell = "";
+			let quoted = false;
+			for (let i = 0; i < source.length; i++) {
+				const char = source[i];
+				if (quoted) {
+					if (char === '"' && source[i + 1] === '"') {
+						cell += '"';
+						i++;
+					} else if (char === '"') {
+						quoted = false;
+					} else {
+						cell += char;
+					}
+				} else if (char === '"' && cell === "") {
+					quoted = true;
+				} else if (char === delimiter) {
+					row.push(cell);
+					cell = "";
+				} else if (char === "\n" || char === "\r") {
+					if (char === "\r" && source[i + 1] === "\n") i++;
+					row.push(cell);
+					rows.push(row);
+					row = [];
+					cell = "";
+				} else {
+					cell += char;
+				}
+			}
+			if (cell !== "" || row.length > 0) rows.push([...row, cell]);
+			return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+		},
+
+		/**
+		 * A field for each column. Named columns are matched by their header (unknown
+		 * names become custom columns); without a header the columns are taken in the
+		 * order the CSV exporter writes them.
+		 */
+		guessMapping(rows, hasHeader) {
+			const width = Math.max(0, ...rows.map((cells) => cells.length));
+			const positional = ["ipa", "roman", "pos", "meaning", "gender", "senses", "register", "dialect"];
+			const used = new Set();
+			return Array.from({ length: width }, (_, column) => {
+				if (!hasHeader) return positional[column] || "skip";
+				const name = (rows[0][column] || "").trim().toLowerCase();
+				const field = Object.keys(this.HEADER_ALIASES).find((key) => !used.has(key) && this.HEADER_ALIASES[key].includes(name));
+				if (field) used.add(field);
+				return field || (name ? "custom" : "skip");
+			});
+		},
+
+		/**
+		 * Turns mapped rows into locked dictionary entries. Rows without IPA or a meaning
+		 * are skipped with a warning; a missing spelling is derived from the IPA.
+		 * ipaForms keeps the imported IPA as written, syllable dots included, for inferPhonology.
+		 * @returns {{ entries: object[], ipaForms: string[], warnings: string[] }}
+		 */
+		toEntries(rows, mapping, hasHeader) {
+			const warnings = [];
+			const entries = [];
+			const ipaForms = [];
+			const header = hasHeader ? rows[0] : [];
+			rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+				const line = index + (hasHeader ? 2 : 1);
+				const value = (field) => {
+					const column = mapping.indexOf(field);
+					return column === -1 ? "" : (cells[column] || "").replace(/\s+/g, " ").trim();
+				};
+				// Syllable dots are dropped: dictionary IPA only marks stress.
+				const ipa = value("ipa").replace(/^[/[]|[/\]]$/g, "").replace(/\./g, "").trim();
+				const meaning = value("meaning");
+				if (!ipa || !meaning) {
+					warnings.push(`${line}行目: ${!ipa ? "IPA" : "意味"}が空のため読み飛ばしました。`);
+					return;
+				}
+				const posTags = value("pos").toLowerCase().split(/[\s,+]+/).filter(Boolean).map((tag) => this.POS_ALIASES[tag] || tag);
+				const pos = posTags.find((tag) => Lexicon.TAGS[tag] && Lexicon.TAGS[tag].pos);
+				const genderValue = value("gender").toLowerCase();
+				const gender = ["masculine", "feminine", "neuter"].includes(genderValue) ? genderValue : this.GENDER_ALIASES[genderValue] || null;
+				if (genderValue && !gender) warnings.push(`${line}行目: 文法性 "${value("gender")}" は認識できないため空にしました。`);
+				const word = { ipa: `/${ipa}/`, roman: value("roman") || Phonology.romanize(ipa), pos: "noun", meaning, gender, locked: true };
+				const custom = {};
+				mapping.forEach((field, column) => {
+					const text = (cells[column] || "").trim();
+					if (field === "custom" && text) custom[(header[column] || "").trim() || `列${column + 1}`] = text;
+				});
+				if (Object.keys(custom).length > 0) word.custom = custom;
+				Lexicon.applyTags(word, [...(Lexicon.builtInTags(meaning, pos) || []), ...posTags]);
+				const senses = Lexicon.parseSenses(value("senses"), word.pos);
+				if (senses.length > 0) word.senses = senses;
+				// Registers may be given by key or by their Japanese label.
+				const registerValue = value("register").toLowerCase();
+				const register = Object.keys(Lexicon.REGISTERS).find((key) => key === registerValue || Lexicon.REGISTERS[key] === registerValue);
+				if (register) word.register = register;
+				else if (registerValue) warnings.push(`${line}行目: 位相 "${value("register")}" は認識できないため空にしました。`);
+				if (value("dialect")) word.dialect = value("dialect");
+				entries.push(word);
+				ipaForms.push(value("ipa"));
+			});
+			return { entries, ipaForms, warnings };
+		},
+
+		/**
+		 * Infers consonants, vowels and syllable templates from IPA forms, each listed
+		 * from most to least frequent. Syllable dots and stress marks are respected as
+		 * boundaries; elsewhere a consonant cluster between vowels gives the next
+		 * syllable the longest onset that also starts a word, and the rest is coda.
+		 * @returns {{ consonants: string[], vowels: string[], syllableStructures: string[] }}
+		 */
+		inferPhonology(ipaForms) {
+			const known = [...Object.keys(Phonology.segmentDescriptions), ...Phonology.getInventory()];
+			const isVowel = (segment) => {
+				if (languageState.phonology.vowels.includes(segment)) return true;
+				const features = Phonology.getFeatures(segment);
+				return Boolean(features && features.has("vowel"));
+			};
+			const consonantCounts = new Map();
+			const vowelCounts = new Map();
+			const templateCounts = new Map();
+			const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+			const chunks = ipaForms.flatMap((ipa) => ipa.replace(/[/[\]]/g, "").split(/[.ˈˌ\s]+/).filter(Boolean))
+				.map((chunk) => Phonology.tokenize(chunk, known).filter((segment) => !/^[\p{P}\p{N}]$/u.test(segment)));
+			const onsets = new Set(chunks.map((segments) => {
+				const first = segments.findIndex(isVowel);
+				return segments.slice(0, first === -1 ? segments.length : first).join(" ");
+			}));
+			chunks.forEach((segments) => {
+				segments.forEach((segment) => count(isVowel(segment) ? vowelCounts : consonantCounts, segment));
+				const nuclei = segments.map((segment, i) => (isVowel(segment) ? i : -1)).filter((i) => i !== -1);
+				if (nuclei.length === 0) return;
+				let start = 0;
+				nuclei.forEach((nucleus, n) => {
+					const next = nuclei[n + 1];
+					let end = segments.length;
+					if (next !== undefined) {
+						const cluster = segments.slice(nucleus + 1, next);
+						let onset = cluster.length;
+						while (onset > 1 && !onsets.has(cluster.slice(cluster.length - onset).join(" "))) onset--;
+						end = next - onset;
+					}
+					count(templateCounts, segments.slice(start, end).map((segment) => (isVowel(segment) ? "V" : "C")).join(""));
+					start = end;
+				});
+			});
+			const byFrequency = (map) => [...map.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+			return { consonants: byFrequency(consonantCounts), vowels: byFrequency(vowelCounts), syllableStructures: byFrequency(templateCounts) };
+		},
+	};
+
+	// --- 4. UI MANAGEMENT MODULE ---
+	const UIManager = {
+		projectIndex: null,
+		autosaveTimer: null,
+		editingOrthography: 0, // Index of the scheme shown in the orthography editor
+		editingDaughter: 0, // Index of the daughter language shown in the sound-change editor
+		// The built-in markers, restored when a new project starts from a blank workspace
+		initialGrammar: JSON.parse(JSON.stringify(languageState.generated.grammar)),
+		// The lexicon table's shown rows (dictionary indices, filtered and sorted) and render state
+		lexiconView: { rows: [], byId: new Map(), sort: { key: null, descending: false }, rowHeight: 41, topSpacer: null, bottomSpacer: null, frame: null },
+		// Rows are added and dropped a block at a time; viewport stands in for the scroll area's height before layout
+		LEXICON_WINDOW: { block: 20, viewport: 384 },
+		dictionaryRefresh: { timer: null, pending: false, diagnosticsTimer: null },
+		DICTIONARY_REFRESH_MS: 300,
+		PARADIGM_MATCHES: 50, // Most words the paradigm picker lists at once
+
+		init() {
+			this.cacheDOMElements();
+			if (!UI.seed.value.trim()) UI.seed.value = Random.createSeed();
+			this.renderExportFormats();
+			this.bindEventListeners();
+			this.updateStateFromUI();
+			// A restored project keeps its saved dictionary; only a fresh workspace is generated.
+			if (!this.loadProjects()) this.handleGenerateLexicon();
+		},
+
+		cacheDOMElements() {
+			const ids = [
+				"consonants", "vowels", "syllable-structure", "tones-enabled", "tones-controls",
+				"tones-count", "tones-count-value", "phonology-rules-list", "add-phonology-rule",
+				"semantic-fields", "custom-fields-list", "add-custom-field", "upload-custom-field", "custom-field-file",
+				"prioritize-fields", "generation-shortfall", "lexicon-size", "polysemy-rate", "synonym-rate", "dialects", "homophony-rate", "loanwords-enabled", "loan-rate", "loan-language", "loan-repair", "loan-words", "generate-lexicon",
+				"word-order", "adjective-order", "irregularity-rate", "irregularity-rate-value",
+				"derivational-morphemes-list", "add-morpheme", "grammar-summary",
+				"example-sentences", "export-format", "run-export", "gender-agreement",
+				"seed", "randomize-seed", "import-json", "import-json-file", "import-messages",
+				"import-wordlist", "import-wordlist-file", "wordlist-import", "wordlist-header", "wordlist-preview",
+				"wordlist-mode", "wordlist-summary", "wordlist-apply-phonology", "confirm-wordlist", "cancel-wordlist",
+				"controls-panel", "project-select", "new-project", "rename-project", "duplicate-project",
+				"delete-project", "project-status", "add-word", "lexicon-warnings",
+				"natural-classes-list", "add-natural-class", "orthography-select", "add-orthography",
+				"rename-orthography", "delete-orthography", "orthography-primary", "orthography-inherit",
+				"orthography-map", "orthography-rules-list", "add-orthography-rule", "orthography-warnings",
+				"frequency-distribution", "phoneme-weights", "syllable-weights", "onset-only", "coda-only",
+				"diagnostics", "banned-sequences", "syllable-counts", "stress-system", "max-cluster", "avoid-hiatus",
+				"daughter-select", "add-daughter", "rename-daughter", "delete-daughter", "sound-changes-list",
+				"add-sound-change", "export-daughter", "open-daughter", "evolution-status",
+				"paradigm-search", "paradigm-word", "paradigm-tables", "marker-editor", "regenerate-markers",
+				"translate-input", "translate", "translation-output", "gloss-input", "gloss", "gloss-output",
+				"sentence-count", "derivation-depth", "compound-head", "compound-linker", "compound-fusion",
+				"calque-proposals", "add-all-calques", "family-filter", "etymology-tree",
+				"lexicon-search", "lexicon-filter-pos", "lexicon-filter-gender", "lexicon-filter-origin",
+				"lexicon-filter-field", "lexicon-native-order", "lexicon-count", "lexicon-scroll", "lexicon-table",
+			];
+			ids.forEach((id) => {
+				const camelCaseId = id.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+				UI[camelCaseId] = document.getElementById(id);
+			});
+
+			UI.lexiconTableBody = document.querySelector("#lexicon-table tbody");
+			UI.evolutionTableHead = document.querySelector("#evolution-table thead");
+			UI.evolutionTableBody = document.querySelector("#evolution-table tbody");
+			UI.presetBtns = document.querySelectorAll("[data-preset]");
+			UI.caseMarking = document.querySelectorAll('input[name="case-marking"]');
+			UI.grammaticalGender = document.querySelectorAll('input[name="grammatical-gender"]');
+			UI.inflection = document.querySelectorAll('input[name^="inflection-"]');
+			UI.constructions = document.querySelectorAll('input[name="construction"]');
+		},
+
+		bindEventListeners() {
+			// CHANGE: Consolidated simple input listeners to call handleInputChange for better maintainability.
+			const controlsToListen = [
+				UI.consonants, UI.vowels, UI.syllableStructure, UI.semanticFields, UI.lexiconSize,
+				UI.wordOrder, UI.adjectiveOrder, UI.tonesEnabled, UI.loanwordsEnabled, UI.genderAgreement,
+				UI.prioritizeFields, UI.polysemyRate, UI.synonymRate, UI.dialects, UI.homophonyRate, UI.seed, UI.frequencyDistribution, UI.phonemeWeights, UI.syllableWeights, UI.onsetOnly,
+				UI.codaOnly, UI.bannedSequences, UI.syllableCounts, UI.stressSystem, UI.maxCluster, UI.avoidHiatus,
+				UI.sentenceCount, UI.derivationDepth, UI.compoundHead, UI.compoundLinker, UI.compoundFusion,
+				UI.loanRate, UI.loanLanguage, UI.loanRepair, UI.loanWords,
+			];
+			controlsToListen.forEach((el) => el.addEventListener("input", () => this.handleInputChange()));
+
+			UI.caseMarking.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
+			UI.grammaticalGender.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
+			UI.inflection.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
+			UI.constructions.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
+			UI.calqueProposals.addEventListener("click", (e) => this.handleAddCalque(e));
+			UI.addAllCalques.addEventListener("click", () => this.handleAddAllCalques());
+			UI.familyFilter.addEventListener("change", () => this.handleLexiconQuery());
+			UI.lexiconSearch.addEventListener("input", () => this.handleLexiconQuery());
+			[UI.lexiconFilterPos, UI.lexiconFilterGender, UI.lexiconFilterOrigin, UI.lexiconFilterField, UI.lexiconNativeOrder]
+				.forEach((el) => el.addEventListener("change", () => this.handleLexiconQuery()));
+			UI.lexiconTable.tHead.addEventListener("click", (e) => this.handleLexiconSort(e));
+			// Scrolling only swaps rows in and out of the window, at most once a frame.
+			UI.lexiconScroll.addEventListener("scroll", () => {
+				if (this.lexiconView.frame) return;
+				this.lexiconView.frame = requestAnimationFrame(() => {
+					this.lexiconView.frame = null;
+					this.renderLexiconWindow();
+				});
+			});
+			UI.paradigmWord.addEventListener("change", () => this.updateParadigmView());
+			UI.paradigmSearch.addEventListener("input", () => this.updateParadigmView());
+			UI.markerEditor.addEventListener("input", (e) => this.handleMarkerInput(e));
+			UI.translate.addEventListener("click", () => this.updateTranslation());
+			UI.translateInput.addEventListener("keydown", (e) => {
+				if (e.key === "Enter") this.updateTranslation();
+			});
+			UI.translationOutput.addEventListener("click", (e) => this.handleCoinWord(e));
+			UI.gloss.addEventListener("click", () => this.updateGloss());
+			UI.glossInput.addEventListener("keydown", (e) => {
+				if (e.key === "Enter") this.updateGloss();
+			});
+			UI.regenerateMarkers.addEventListener("click", () => this.handleRegenerateMarkers());
+			UI.presetBtns.forEach((el) => el.addEventListener("click", (e) => this.handlePresetClick(e)));
+			UI.tonesCount.addEventListener("input", (e) => this.handleTonesToggle(e));
+			// FIX: Removed extra closing parenthesis that caused a syntax error.
+			UI.irregularityRate.addEventListener("input", (e) => this.handleIrregularityRate(e));
+			UI.generateLexicon.addEventListener("click", () => this.handleGenerateLexicon());
+			UI.randomizeSeed.addEventListener("click", () => this.handleRandomizeSeed());
+			UI.addPhonologyRule.addEventListener("click", () => this.addDynamicInput("phonologyRule"));
+			UI.addMorpheme.addEventListener("click", () => this.addDynamicInput("morpheme"));
+			UI.addNaturalClass.addEventListener("click", () => this.addDynamicInput("naturalClass"));
+			UI.addCustomField.addEventListener("click", () => this.addDynamicInput("customField"));
+			UI.uploadCustomField.addEventListener("click", () => UI.customFieldFile.click());
+			UI.customFieldFile.addEventListener("change", (e) => this.handleUploadCustomField(e));
+			UI.runExport.addEventListener("click", () => this.runExport(UI.exportFormat.value));
+			UI.importJson.addEventListener("click", () => UI.importJsonFile.click());
+			UI.importJsonFile.addEventListener("change", (e) => this.handleImportJSON(e));
+			UI.importWordlist.addEventListener("click", () => UI.importWordlistFile.click());
+			UI.importWordlistFile.addEventListener("change", (e) => this.handleWordlistFile(e));
+			UI.wordlistHeader.addEventListener("change", () => {
+				this.pendingWordlist.mapping = WordlistImport.guessMapping(this.pendingWordlist.rows, UI.wordlistHeader.checked);
+				this.renderWordlistImport();
+			});
+			UI.wordlistPreview.addEventListener("change", (e) => this.handleWordlistMapping(e));
+			UI.confirmWordlist.addEventListener("click", () => this.handleConfirmWordlist());
+			UI.cancelWordlist.addEventListener("click", () => this.closeWordlistImport());
+			UI.projectSelect.addEventListener("change", (e) => this.handleProjectSwitch(e));
+			UI.newProject.addEventListener("click", () => this.handleNewProject());
+			UI.renameProject.addEventListener("click", () => this.handleRenameProject());
+			UI.duplicateProject.addEventListener("click", () => this.handleDuplicateProject());
+			UI.deleteProject.addEventListener("click", () => this.handleDeleteProject());
+			window.addEventListener("pagehide", () => this.saveActiveProject());
+			UI.orthographySelect.addEventListener("change", (e) => this.handleOrthographySelect(e));
+			UI.addOrthography.addEventListener("click", () => this.handleAddOrthography());
+			UI.renameOrthography.addEventListener("click", () => this.handleRenameOrthography());
+			UI.deleteOrthography.addEventListener("click", () => this.handleDeleteOrthography());
+			UI.orthographyPrimary.addEventListener("change", () => this.handleOrthographyPrimary());
+			UI.orthographyInherit.addEventListener("change", (e) => this.updateOrthography((scheme) => { scheme.inheritDefaults = e.target.checked; }));
+			UI.orthographyMap.addEventListener("input", (e) => this.handleOrthographyMapInput(e));
+			UI.addOrthographyRule.addEventListener("click", () => this.addDynamicInput("orthographyRule"));
+			UI.orthographyRulesList.addEventListener("input", () => this.handleOrthographyRulesChange());
+			UI.orthographyRulesList.addEventListener("click", (e) => {
+				if (!e.target.classList.contains("remove-btn")) return;
+				e.target.closest(".orthography-rule-item").remove();
+				this.handleOrthographyRulesChange();
+			});
+			UI.daughterSelect.addEventListener("change", (e) => this.handleDaughterSelect(e));
+			UI.addDaughter.addEventListener("click", () => this.handleAddDaughter());
+			UI.renameDaughter.addEventListener("click", () => this.handleRenameDaughter());
+			UI.deleteDaughter.addEventListener("click", () => this.handleDeleteDaughter());
+			UI.addSoundChange.addEventListener("click", () => {
+				this.addDynamicInput("soundChange");
+				this.handleSoundChangesChange();
+			});
+			UI.soundChangesList.addEventListener("input", () => this.handleSoundChangesChange());
+			UI.soundChangesList.addEventListener("click", (e) => {
+				if (!e.target.classList.contains("remove-btn")) return;
+				e.target.closest(".sound-change-item").remove();
+				this.handleSoundChangesChange();
+			});
+			UI.exportDaughter.addEventListener("click", () => this.exportDaughter());
+			UI.openDaughter.addEventListener("click", () => this.handleOpenDaughter());
+			UI.lexiconTableBody.addEventListener("change", (e) => this.handleLexiconEdit(e));
+			UI.lexiconTableBody.addEventListener("click", (e) => this.handleRemoveWord(e));
+			UI.addWord.addEventListener("click", () => this.handleAddWord());
+			
+			// Event delegation for dynamic elements
+			UI.phonologyRulesList.addEventListener("click", (e) => this.handleDynamicRemove(e));
+			UI.derivationalMorphemesList.addEventListener("click", (e) => this.handleDynamicRemove(e));
+			UI.naturalClassesList.addEventListener("click", (e) => this.handleDynamicRemove(e));
+			UI.customFieldsList.addEventListener("click", (e) => this.handleDynamicRemove(e));
+			UI.phonologyRulesList.addEventListener("input", () => this.handleInputChange());
+			UI.derivationalMorphemesList.addEventListener("input", () => this.handleInputChange());
+			UI.naturalClassesList.addEventListener("input", () => this.handleInputChange());
+			UI.customFieldsList.addEventListener("input", () => this.handleInputChange());
+		},
+
+		updateStateFromUI() {
+			languageState.seed = UI.seed.value.trim();
+			languageState.phonology.consonants = UI.consonants.value.trim().split(/\s+/).filter(Boolean);
+			languageState.phonology.vowels = UI.vowels.value.trim().split(/\s+/).filter(Boolean);
+			languageState.phonology.syllableStructures = UI.syllableStructure.value.trim().split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+			const splitList = (text) => text.trim().split(/\s+/).filter(Boolean);
+			languageState.phonology.distribution = {
+				mode: UI.frequencyDistribution.value,
+				phonemeWeights: this.parseWeights(UI.phonemeWeights.value),
+				syllableWeights: this.parseWeights(UI.syllableWeights.value.toUpperCase()),
+				onsetOnly: splitList(UI.onsetOnly.value),
+				codaOnly: splitList(UI.codaOnly.value),
+				bannedSequences: splitList(UI.bannedSequences.value),
+			};
+			const syllableCounts = {};
+			Object.entries(this.parseWeights(UI.syllableCounts.value)).forEach(([count, weight]) => {
+				if (/^[1-9]$/.test(count)) syllableCounts[count] = weight;
+			});
+			const maxCluster = parseInt(UI.maxCluster.value, 10);
+			languageState.phonology.prosody = {
+				syllableCounts: Object.keys(syllableCounts).length > 0 ? syllableCounts : { 1: 1 },
+				stress: UI.stressSystem.value,
+				maxCluster: Number.isInteger(maxCluster) && maxCluster >= 0 ? maxCluster : 2,
+				avoidHiatus: UI.avoidHiatus.checked,
+			};
+			languageState.phonology.tones.enabled = UI.tonesEnabled.checked;
+			languageState.phonology.tones.count = parseInt(UI.tonesCount.value, 10);
+			languageState.lexicon.semanticFields = UI.semanticFields.value.trim().split(",").map(s => s.trim()).filter(Boolean);
+			languageState.lexicon.rootCount = parseInt(UI.lexiconSize.value, 10);
+			languageState.lexicon.prioritizeFields = UI.prioritizeFields.checked;
+			const percent = (input) => {
+				const value = parseFloat(input.value);
+				return Number.isFinite(value) ? Math.min(100, Math.max(0, value)) / 100 : 0;
+			};
+			languageState.lexicon.polysemyRate = percent(UI.polysemyRate);
+			languageState.lexicon.synonymRate = percent(UI.synonymRate);
+			languageState.lexicon.homophonyRate = percent(UI.homophonyRate);
+			languageState.lexicon.dialects = UI.dialects.value.split(",").map((d) => d.trim()).filter(Boolean);
+			languageState.lexicon.customFields = [];
+			UI.customFieldsList.querySelectorAll(".custom-field-item").forEach((item) => {
+				const name = item.querySelector(".field-name").value.trim();
+				const tags = item.querySelector(".field-tags").value.toLowerCase().split(/[\s,+]+/).filter(Boolean);
+				const meanings = item.querySelector(".field-meanings").value.split(/[,\n]/).map((m) => m.trim()).filter(Boolean);
+				if (name) languageState.lexicon.customFields.push({ name, tags, meanings });
+			});
+			const loanRate = parseFloat(UI.loanRate.value);
+			languageState.lexicon.loanwords = {
+				enabled: UI.loanwordsEnabled.checked,
+				rate: Number.isFinite(loanRate) ? Math.min(100, Math.max(0, loanRate)) / 100 : 0.05,
+				language: UI.loanLanguage.value.trim() || "English",
+				repair: UI.loanRepair.value,
+				words: Lexicon.parseLoanSources(UI.loanWords.value),
+			};
+			languageState.morphoSyntax.wordOrder = UI.wordOrder.value;
+			languageState.morphoSyntax.adjectiveOrder = UI.adjectiveOrder.value;
+			languageState.morphoSyntax.caseMarking = document.querySelector('input[name="case-marking"]:checked').value;
+			languageState.morphoSyntax.grammaticalGender = document.querySelector('input[name="grammatical-gender"]:checked').value;
+			languageState.morphoSyntax.genderAgreement = UI.genderAgreement.checked;
+			languageState.morphoSyntax.irregularityRate = parseInt(UI.irregularityRate.value, 10) / 100;
+			Object.keys(languageState.morphoSyntax.inflection).forEach((category) => {
+				languageState.morphoSyntax.inflection[category] = Array.from(
+					document.querySelectorAll(`input[name="inflection-${category}"]:checked`), (el) => el.value);
+			});
+			languageState.morphoSyntax.derivationDepth = Math.min(3, Math.max(1, parseInt(UI.derivationDepth.value, 10) || 1));
+			languageState.morphoSyntax.compounding = {
+				head: UI.compoundHead.value,
+				linker: UI.compoundLinker.value.trim(),
+				fusion: UI.compoundFusion.value,
+			};
+			languageState.morphoSyntax.exampleSentences = {
+				count: Math.min(20, Math.max(1, parseInt(UI.sentenceCount.value, 10) || 1)),
+				constructions: Array.from(UI.constructions).filter((el) => el.checked).map((el) => el.value),
+			};
+
+			languageState.phonology.phonologicalRules = [];
+			document.querySelectorAll(".phonology-rule-item").forEach((item) => {
+				const from = item.querySelector(".rule-from").value;
+				const to = item.querySelector(".rule-to").value;
+				if (from && to) languageState.phonology.phonologicalRules.push({ from, to });
+			});
+
+			languageState.phonology.naturalClasses = [];
+			document.querySelectorAll(".natural-class-item").forEach((item) => {
+				const name = item.querySelector(".class-name").value.trim();
+				const members = item.querySelector(".class-members").value.trim();
+				if (name && members) languageState.phonology.naturalClasses.push({ name, members });
+			});
+
+			languageState.morphoSyntax.derivationalMorphemes = [];
+			document.querySelectorAll(".morpheme-item").forEach((item) => {
+				const type = item.querySelector(".morpheme-type").value;
+				const form = item.querySelector(".morpheme-form").value;
+				const func = item.querySelector(".morpheme-func").value;
+				if (form && func) languageState.morphoSyntax.derivationalMorphemes.push({ type, form, func });
+			});
+		},
+
+		// Parses "p:5 a:10" (or comma separated) into { p: 5, a: 10 }, skipping invalid entries.
+		parseWeights(text) {
+			const weights = {};
+			text.split(/[\s,]+/).filter(Boolean).forEach((entry) => {
+				const [key, value] = entry.split(":");
+				const weight = parseFloat(value);
+				if (key && Number.isFinite(weight) && weight >= 0) weights[key] = weight;
+			});
+			return weights;
+		},
+
+		formatWeights(weights) {
+			return Object.entries(weights).map(([key, value]) => `${key}:${value}`).join(" ");
+		},
+
+		updateAllDisplays() {
+			this.renderOrthographyEditor();
+			this.renderEvolutionEditor();
+			this.renderMarkerEditor();
+			this.updateGrammarSummary();
+			this.refreshDictionaryViews();
+			this.updateCalqueProposals();
+			this.updateParadigmView();
+			this.updateExampleSentences();
+			this.updateTranslation();
+			this.updateGloss();
+			this.scheduleAutosave();
+		},
+
+		getMorphologicalTypology() {
+			const { derivationalMorphemes, irregularityRate } = languageState.morphoSyntax;
+			const morphemeCount = derivationalMorphemes.length;
+			if (morphemeCount === 0) return { type: "孤立語 (Isolating)", desc: "各単語が不変で、文法関係は語順によって示される傾向があります。（例: 中国語、ベトナム語）" };
+			if (morphemeCount > 2 && irregularityRate < 0.08) return { type: "膠着語 (Agglutinative)", desc: "語根に接辞が次々と付加され、各接辞が単一の文法機能を持つ傾向があります。（例: 日本語、トルコ語）" };
+			if (morphemeCount > 0 && irregularityRate >= 0.08) return { type: "屈折語 (Fusional)", desc: "接辞が複数の文法機能を同時に担い、不規則な変化が多い傾向があります。（例: ラテン語、ロシア語）" };
+			return { type: "分析語 (Analytic)", desc: "文法機能の多くを独立した単語（助詞など）や語順で示す傾向があります。" };
+		},
+
+		createSummarySection(fragment, title) {
+			const h4 = document.createElement("h4");
+			h4.className = "text-lg font-semibold mt-4 mb-2 border-b border-gray-700";
+			h4.textContent = title;
+			fragment.appendChild(h4);
+			const ul = document.createElement("ul");
+			ul.className = "list-disc list-inside space-y-1";
+			fragment.appendChild(ul);
+			return ul;
+		},
+
+		addSummaryItem(ul, label, value, className = "") {
+			const li = document.createElement("li");
+			if (className) li.className = className;
+			const b = document.createElement("b");
+			b.textContent = `${label}: `;
+			li.appendChild(b);
+			li.appendChild(document.createTextNode(value));
+			ul.appendChild(li);
+		},
+
+		updateDiagnostics() {
+			const report = Diagnostics.analyze();
+			UI.diagnostics.textContent = "";
+			const fragment = document.createDocumentFragment();
+			const addItem = (ul, label, value, className) => this.addSummaryItem(ul, label, value, className);
+			const percent = (share) => (share === undefined ? "—" : `${Math.round(share * 100)}%`);
+			const formatCount = (n) => (n >= 1e9 ? n.toExponential(2) : n.toLocaleString());
+			const LIST_LIMIT = 10;
+
+			const frequencyUl = this.createSummarySection(fragment, "音素頻度 (実測 / 設定)");
+			if (report.frequencies.length === 0) addItem(frequencyUl, "辞書", "単語がありません");
+			report.frequencies.forEach(({ segment, count, share, expected }) => {
+				addItem(frequencyUl, segment, `${count}回 (${percent(share)} / ${percent(expected)})`, expected === undefined ? "text-yellow-400" : "");
+			});
+
+			const possibleUl = this.createSummarySection(fragment, "可能な語の数 (上限)");
+			const { possibleWords } = report;
+			addItem(possibleUl, "1音節あたり", formatCount(possibleWords.perSyllable));
+			possibleWords.byCount.forEach(({ count, words }) => addItem(possibleUl, `${count}音節語`, formatCount(words)));
+			addItem(possibleUl, "合計", formatCount(possibleWords.total));
+
+			const homophoneUl = this.createSummarySection(fragment, `同音異義語 (${report.homophones.length}組)`);
+			report.homophones.slice(0, LIST_LIMIT).forEach((words) => {
+				addItem(homophoneUl, words[0].ipa, words.map((w) => w.meaning).join(", "));
+			});
+
+			const pairUl = this.createSummarySection(fragment, `最小対 (${report.minimalPairs.length}組)`);
+			report.minimalPairs.slice(0, LIST_LIMIT).forEach(({ a, b, contrast }) => {
+				addItem(pairUl, `${contrast[0]} : ${contrast[1]}`, `${a.ipa} ${a.meaning} — ${b.ipa} ${b.meaning}`);
+			});
+
+			const rulesUl = this.createSummarySection(fragment, "音韻規則");
+			if (report.rules.length === 0) addItem(rulesUl, "規則", "なし");
+			report.rules.forEach((entry) => {
+				const label = `${entry.rule.from} / ${entry.rule.to}`;
+				const { message, className } = this.describeRuleDiagnostic(entry);
+				addItem(rulesUl, label, message, className);
+			});
+
+			UI.diagnostics.appendChild(fragment);
+			this.updateRuleRowDiagnostics(report.rules);
+		},
+
+		describeRuleDiagnostic(entry) {
+			if (entry.error) return { message: `エラー: ${entry.error}`, className: "text-red-400" };
+			if (entry.outOfInventory.length > 0) {
+				return { message: `音素目録にない音を生成します: ${entry.outOfInventory.join(" ")} (${entry.fired}回適用)`, className: "text-yellow-400" };
+			}
+			if (entry.fired === 0) return { message: `試行した${Diagnostics.PROBE_SIZE}語で一度も適用されませんでした`, className: "text-yellow-400" };
+			return { message: `${Diagnostics.PROBE_SIZE}語中${entry.fired}語に適用`, className: "" };
+		},
+
+		/**
+		 * Shows each rule's diagnostic next to its row in the controls panel.
+		 */
+		updateRuleRowDiagnostics(ruleReports) {
+			let ruleIndex = 0;
+			UI.phonologyRulesList.querySelectorAll(".phonology-rule-item").forEach((item) => {
+				const note = item.querySelector(".rule-diagnostic");
+				const from = item.querySelector(".rule-from").value;
+				const to = item.querySelector(".rule-to").value;
+				// Mirrors updateStateFromUI: only complete rows become rules.
+				if (!from || !to) {
+					note.textContent = "";
+					return;
+				}
+				const { message, className } = this.describeRuleDiagnostic(ruleReports[ruleIndex++]);
+				note.textContent = message;
+				note.className = `rule-diagnostic w-full text-xs ${className}`;
+			});
+		},
+
+		updateGrammarSummary() {
+			UI.grammarSummary.textContent = "";
+			const fragment = document.createDocumentFragment();
+			this.grammarSummarySections().forEach(({ title, items }) => {
+				const ul = this.createSummarySection(fragment, title);
+				items.forEach(({ label, value }) => this.addSummaryItem(ul, label, value));
+			});
+			UI.grammarSummary.appendChild(fragment);
+		},
+
+		/**
+		 * The grammar summary as plain data, shared by the summary panel and the
+		 * grammar sketch exports. @returns {{ title: string, items: { label: string, value: string }[] }[]}
+		 */
+		grammarSummarySections() {
+			const { phonology, morphoSyntax, generated } = languageState;
+			const sections = [];
+			const createSection = (title) => {
+				const items = [];
+				sections.push({ title, items });
+				return items;
+			};
+			const addItem = (items, label, value) => items.push({ label, value });
+
+			const typologyUl = createSection("類型論的特徴");
+			const morphologyType = this.getMorphologicalTypology();
+			addItem(typologyUl, "形態論的類型", `${morphologyType.type} - ${morphologyType.desc}`);
+			const adpositionType = morphoSyntax.wordOrder === "SOV" || morphoSyntax.caseMarking === "postposition" ? "後置詞言語 (Postpositional)" : "前置詞言語 (Prepositional)";
+			addItem(typologyUl, "接置詞", adpositionType);
+
+			const syntaxUl = createSection("統語論 (Syntax)");
+			addItem(syntaxUl, "基本語順", morphoSyntax.wordOrder);
+			const adjOrderMap = { AN: "形容詞 + 名詞", NA: "名詞 + 形容詞" };
+			addItem(syntaxUl, "形容詞の語順", adjOrderMap[morphoSyntax.adjectiveOrder]);
+
+			const morphologyUl = createSection("形態論 (Morphology)");
+			const caseMarkingMap = { suffix: "接尾辞", prefix: "接頭辞", postposition: "後置詞" };
+			addItem(morphologyUl, "格標示", caseMarkingMap[morphoSyntax.caseMarking]);
+			const affixNotation = (category, form) => {
+				if (!form) return "∅";
+				if (category === "particle") return form;
+				if (category !== "case" || morphoSyntax.caseMarking === "suffix") return `-${form}`;
+				return morphoSyntax.caseMarking === "prefix" ? `${form}-` : form;
+			};
+			Object.entries(MorphoSyntax.CATEGORIES).forEach(([category, { label, values }]) => {
+				const marked = MorphoSyntax.categoryValues(category);
+				if (marked.length === 0) return;
+				const forms = marked.map((value) => `${values[value].label}: ${affixNotation(category, MorphoSyntax.marker(category, value))}`);
+				addItem(morphologyUl, label, forms.join(", "));
+			});
+			const genderMap = { none: "なし", mf: "男性/女性", mfn: "男性/女性/中性" };
+			addItem(morphologyUl, "文法性", `${genderMap[morphoSyntax.grammaticalGender]} (${morphoSyntax.genderAgreement ? "一致あり" : "一致なし"})`);
+			const irregularCount = generated.dictionary.filter((word) => word.irregular).length;
+			addItem(morphologyUl, "不規則性", `${Math.round(morphoSyntax.irregularityRate * 100)}% (不規則語幹を持つ語: ${irregularCount}語)`);
+
+			const phonologyUl = createSection("音韻論 (Phonology)");
+			addItem(phonologyUl, "音素", `${phonology.consonants.length}子音, ${phonology.vowels.length}母音`);
+			addItem(phonologyUl, "音節構造", phonology.syllableStructures.join(", "));
+			const { distribution } = phonology;
+			const formatShares = (shares) => shares.map(({ item, share }) => `${item} ${Math.round(share * 100)}%`).join(", ");
+			const modeLabel = distribution.mode === "zipf" ? "Zipf型" : "一様";
+			addItem(phonologyUl, "子音の頻度", `${modeLabel}: ${formatShares(Phonology.describeDistribution(phonology.consonants, distribution.phonemeWeights))}`);
+			addItem(phonologyUl, "母音の頻度", `${modeLabel}: ${formatShares(Phonology.describeDistribution(phonology.vowels, distribution.phonemeWeights))}`);
+			addItem(phonologyUl, "音節構造の頻度", formatShares(Phonology.describeDistribution(phonology.syllableStructures, distribution.syllableWeights)));
+			if (distribution.onsetOnly.length > 0) addItem(phonologyUl, "頭子音のみ", distribution.onsetOnly.join(" "));
+			if (distribution.codaOnly.length > 0) addItem(phonologyUl, "末子音のみ", distribution.codaOnly.join(" "));
+			if (distribution.bannedSequences.length > 0) addItem(phonologyUl, "禁止連続", distribution.bannedSequences.join(", "));
+			const { prosody } = phonology;
+			const countShares = Phonology.describeDistribution(Object.keys(prosody.syllableCounts), prosody.syllableCounts)
+				.sort((a, b) => a.item - b.item);
+			addItem(phonologyUl, "語の音節数", countShares.map(({ item, share }) => `${item}音節 ${Math.round(share * 100)}%`).join(", "));
+			const stressMap = { none: "なし", initial: "語頭固定", penultimate: "次末固定", final: "語末固定", weight: "音節量による (重い次末, さもなくば前次末)", free: "自由 (語彙的)" };
+			addItem(phonologyUl, "強勢", stressMap[prosody.stress]);
+			addItem(phonologyUl, "音節境界", `子音連続は最大${prosody.maxCluster}${prosody.avoidHiatus ? ", 母音連続を回避" : ""}`);
+			const toneSummary = phonology.tones.enabled ? `あり (${phonology.tones.count}種)` : "なし";
+			addItem(phonologyUl, "声調", toneSummary);
+			phonology.naturalClasses.forEach((naturalClass) => {
+				const members = Phonology.resolveClass(naturalClass.name) || [];
+				addItem(phonologyUl, `自然類 ${naturalClass.name}`, `${naturalClass.members} → {${members.join(", ")}}`);
+			});
+			const primaryOrthography = Orthography.getPrimary();
+			const unmapped = Orthography.unmapped(primaryOrthography);
+			addItem(phonologyUl, "正書法", `${primaryOrthography.name}${unmapped.length > 0 ? ` (綴りのない音素: ${unmapped.join(" ")})` : ""}`);
+			const undescribed = [...phonology.consonants, ...phonology.vowels].filter((s) => !Phonology.getFeatures(s));
+			if (undescribed.length > 0) addItem(phonologyUl, "素性未定義の音素", undescribed.join(" "));
+
+			return sections;
+		},
+
+		/**
+		 * Rebuilds the lexicon table after the dictionary or the language changed: the
+		 * filter choices, the rows and the inventory warnings. The scroll position is
+		 * kept, so edits elsewhere do not move the table.
+		 */
+		updateDictionaryView() {
+			this.renderFamilyFilter();
+			this.renderLexiconFilterOptions();
+			this.lexiconView.byId = Lexicon.indexById();
+			this.refreshLexiconRows();
+			this.updateLexiconWarnings();
+		},
+
+		/**
+		 * Filters and sorts the dictionary into the rows the lexicon table shows, then
+		 * renders the part of them in view. Search, filter and sort changes need only this.
+		 */
+		refreshLexiconRows() {
+			const { dictionary } = languageState.generated;
+			const { byId } = this.lexiconView;
+			const family = UI.familyFilter.value;
+			const matches = this.lexiconMatcher(family, byId);
+			const indices = [];
+			dictionary.forEach((word, index) => {
+				if (matches(word)) indices.push(index);
+			});
+			this.lexiconView.rows = this.sortLexiconRows(indices);
+			UI.lexiconCount.textContent = indices.length === dictionary.length ? `${dictionary.length}語` : `${indices.length} / ${dictionary.length}語`;
+			this.renderLexiconWindow(true);
+			this.updateEtymologyTree(byId.get(family));
+		},
+
+		/**
+		 * Refreshes the views that walk the whole dictionary while settings are being
+		 * typed. The lexicon table updates at most every DICTIONARY_REFRESH_MS (the first
+		 * change at once, the last when the pause ends); the diagnostics, the slowest of
+		 * them, only run once typing has paused.
+		 */
+		refreshDictionaryViews() {
+			this.scheduleDiagnostics();
+			if (this.dictionaryRefresh.timer) {
+				this.dictionaryRefresh.pending = true;
+				return;
+			}
+			this.updateDictionaryView();
+			this.dictionaryRefresh.timer = setTimeout(() => {
+				this.dictionaryRefresh.timer = null;
+				if (!this.dictionaryRefresh.pending) return;
+				this.dictionaryRefresh.pending = false;
+				this.refreshDictionaryViews();
+			}, this.DICTIONARY_REFRESH_MS);
+		},
+
+		// Reruns the diagnostics once edits have paused for DICTIONARY_REFRESH_MS.
+		scheduleDiagnostics() {
+			clearTimeout(this.dictionaryRefresh.diagnosticsTimer);
+			this.dictionaryRefresh.diagnosticsTimer = setTimeout(() => this.updateDiagnostics(), this.DICTIONARY_REFRESH_MS);
+		},
+
+		/**
+		 * The search and filter settings as a single test on entries. Search looks at
+		 * the spelling, the IPA and every sense, ignoring case.
+		 */
+		lexiconMatcher(family, byId) {
+			const query = UI.lexiconSearch.value.trim().toLowerCase();
+			const pos = UI.lexiconFilterPos.value;
+			const gender = UI.lexiconFilterGender.value;
+			const origin = Lexicon.ORIGINS[UI.lexiconFilterOrigin.value];
+			const field = UI.lexiconFilterField.value;
+			const fieldMeanings = field ? new Set(Lexicon.fieldMeanings(field).meanings.map((m) => m.meaning)) : null;
+			// A derivative or compound belongs to the fields of the roots it is built on.
+			const inField = (word) => Lexicon.readingsOf(word).some((reading) => fieldMeanings.has(reading.meaning))
+				|| (Lexicon.isFormed(word) && word.etymology.roots.some((id) => byId.has(id) && fieldMeanings.has(byId.get(id).meaning)));
+			return (word) => {
+				if (family && !Lexicon.rootsOf(word).includes(family)) return false;
+				if (pos && word.pos !== pos) return false;
+				if (gender && (word.gender || "none") !== gender) return false;
+				if (origin && !origin(word)) return false;
+				if (fieldMeanings && !inField(word)) return false;
+				if (!query) return true;
+				return [word.roman, word.ipa, Lexicon.glossOf(word)].some((text) => String(text || "").toLowerCase().includes(query));
+			};
+		},
+
+		/**
+		 * Orders dictionary indices by the chosen column. Spelling and IPA follow the
+		 * language's own alphabet unless the user turns that off; ties keep dictionary order.
+		 */
+		sortLexiconRows(indices) {
+			const { key, descending } = this.lexiconView.sort;
+			if (!key) return indices;
+			const { dictionary } = languageState.generated;
+			let sorted;
+			if ((key === "roman" || key === "ipa") && UI.lexiconNativeOrder.checked) {
+				const position = new Map(indices.map((index) => [dictionary[index], index]));
+				sorted = Orthography.sortWords(indices.map((index) => dictionary[index])).map((word) => position.get(word));
+			} else {
+				const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+				// Empty cells sort last in either direction.
+				sorted = [...indices].sort((a, b) => {
+					const x = dictionary[a][key] || "";
+					const y = dictionary[b][key] || "";
+					if (!x || !y) return (x ? 0 : 1) - (y ? 0 : 1);
+					return collator.compare(x, y);
+				});
+			}
+			if (!descending) return sorted;
+			const filled = sorted.filter((index) => dictionary[index][key]);
+			return [...filled.reverse(), ...sorted.filter((index) => !dictionary[index][key])];
+		},
+
+		/**
+		 * Renders only the rows in and near the scrolled-to part of the table, with
+		 * spacer rows standing in for the rest. Rows are added and dropped in blocks, and
+		 * rows still in range are left in place so an input being edited keeps its focus.
+		 * A forced render rebuilds every row after the rows or their contents changed.
+		 */
+		renderLexiconWindow(force = false) {
+			const view = this.lexiconView;
+			const { dictionary } = languageState.generated;
+			const tableBody = UI.lexiconTableBody;
+			const container = UI.lexiconScroll;
+			const total = view.rows.length;
+			if (force || !view.topSpacer) {
+				tableBody.textContent = "";
+				const columns = UI.lexiconTable.tHead.rows[0].cells.length;
+				[view.topSpacer, view.bottomSpacer] = [0, 1].map(() => {
+					const spacer = document.createElement("tr");
+					spacer.className = "lexicon-spacer";
+					spacer.setAttribute("aria-hidden", "true");
+					spacer.insertCell().colSpan = columns;
+					tableBody.appendChild(spacer);
+					return spacer;
+				});
+			}
+			const { block } = this.LEXICON_WINDOW;
+			const viewport = container.clientHeight || this.LEXICON_WINDOW.viewport;
+			const scrollTop = Math.min(container.scrollTop, Math.max(0, total * view.rowHeight - viewport));
+			const start = Math.max(0, (Math.floor(scrollTop / view.rowHeight / block) - 1) * block);
+			const end = Math.min(total, (Math.ceil((scrollTop + viewport) / view.rowHeight / block) + 1) * block);
+
+			const rendered = Array.from(tableBody.querySelectorAll("tr[data-position]"));
+			const kept = rendered.filter((row) => {
+				const position = Number(row.dataset.position);
+				if (position >= start && position < end) return true;
+				row.remove();
+				return false;
+			});
+			const firstKept = kept.length > 0 ? Number(kept[0].dataset.position) : end;
+			const afterKept = kept.length > 0 ? Number(kept[kept.length - 1].dataset.position) + 1 : end;
+			const buildRows = (from, to) => {
+				const fragment = document.createDocumentFragment();
+				for (let position = from; position < to; position++) {
+					const index = view.rows[position];
+					fragment.appendChild(this.buildLexiconRow(dictionary[index], index, position));
+				}
+				return fragment;
+			};
+			tableBody.insertBefore(buildRows(start, firstKept), kept[0] || view.bottomSpacer);
+			tableBody.insertBefore(buildRows(afterKept, end), view.bottomSpacer);
+
+			// Spacer heights use the measured row height once a row has been laid out.
+			const sample = view.topSpacer.nextElementSibling;
+			if (sample !== view.bottomSpacer && sample.offsetHeight > 0) view.rowHeight = sample.offsetHeight;
+			view.topSpacer.style.height = `${start * view.rowHeight}px`;
+			view.bottomSpacer.style.height = `${(total - end) * view.rowHeight}px`;
+		},
+
+		/**
+		 * Lists the parts of speech in use and the semantic fields, built-in and custom,
+		 * keeping each selection while it is still available.
+		 */
+		renderLexiconFilterOptions() {
+			const fill = (select, options) => {
+				const selected = select.value;
+				select.textContent = "";
+				[["", "すべて"], ...options].forEach(([value, text]) => {
+					const opt = document.createElement("option");
+					opt.value = value;
+					opt.textContent = text;
+					select.appendChild(opt);
+				});
+				select.value = options.some(([value]) => value === selected) ? selected : "";
+			};
+			const partsOfSpeech = [...new Set(languageState.generated.dictionary.map((word) => word.pos).filter(Boolean))].sort();
+			fill(UI.lexiconFilterPos, partsOfSpeech.map((pos) => [pos, pos]));
+			const fields = [...Object.keys(Lexicon.semanticFieldMap), ...languageState.lexicon.customFields.map((field) => field.name)];
+			fill(UI.lexiconFilterField, [...new Set(fields)].map((name) => [name, name]));
+		},
+
+		// Search and filter changes start the table from the top again.
+		handleLexiconQuery() {
+			UI.lexiconScroll.scrollTop = 0;
+			this.refreshLexiconRows();
+		},
+
+		// A header sorts by its column; a second click reverses, a third restores dictionary order.
+		handleLexiconSort(event) {
+			const button = event.target.closest(".sort-button");
+			if (!button) return;
+			const { sort } = this.lexiconView;
+			const key = button.dataset.sort;
+			if (sort.key !== key) Object.assign(sort, { key, descending: false });
+			else if (!sort.descending) sort.descending = true;
+			else Object.assign(sort, { key: null, descending: false });
+			UI.lexiconTable.querySelectorAll(".sort-button").forEach((other) => {
+				const th = other.closest("th");
+				if (other.dataset.sort === sort.key) th.setAttribute("aria-sort", sort.descending ? "descending" : "ascending");
+				else th.removeAttribute("aria-sort");
+			});
+			this.handleLexiconQuery();
+		},
+
+		// One editable table row for a dictionary entry; position is its place among the shown rows.
+		buildLexiconRow(word, index, position) {
+			const { byId } = this.lexiconView;
+			const row = document.createElement("tr");
+			row.dataset.index = index;
+			row.dataset.position = position;
+			const addInput = (field, label) => {
+				const input = document.createElement("input");
+				input.type = "text";
+				input.className = "lexicon-field";
+				input.dataset.field = field;
+				input.value = word[field] || "";
+				input.setAttribute("aria-label", label);
+				row.insertCell().appendChild(input);
+				return input;
+			};
+			addInput("ipa", "IPA");
+			addInput("roman", "ローマ字");
+			addInput("pos", "品詞").setAttribute("list", "pos-options");
+			const meaningInput = addInput("meaning", "意味");
+			// Custom columns from an imported wordlist show on hover.
+			if (word.custom) meaningInput.title = Object.entries(word.custom).map(([name, text]) => `${name}: ${text}`).join("\n");
+			const sensesInput = addInput("senses", "他の語義");
+			sensesInput.value = Lexicon.formatSenses(word);
+			sensesInput.placeholder = "day, five:numeral";
+			const tagsInput = addInput("tags", "特性");
+			tagsInput.value = Lexicon.tagsOf(word).join(", ");
+			tagsInput.title = Object.keys(Lexicon.TAGS).join(", ");
+			row.insertCell().textContent = Lexicon.describeEtymology(word, byId);
+
+			const genderSelect = document.createElement("select");
+			genderSelect.className = "lexicon-field";
+			genderSelect.dataset.field = "gender";
+			genderSelect.setAttribute("aria-label", "文法性");
+			[["", "—"], ["masculine", "masculine"], ["feminine", "feminine"], ["neuter", "neuter"]].forEach(([value, text]) => {
+				const opt = document.createElement("option");
+				opt.value = value; opt.textContent = text;
+				genderSelect.appendChild(opt);
+			});
+			genderSelect.value = word.gender || "";
+			row.insertCell().appendChild(genderSelect);
+
+			const registerSelect = document.createElement("select");
+			registerSelect.className = "lexicon-field";
+			registerSelect.dataset.field = "register";
+			registerSelect.setAttribute("aria-label", "位相");
+			[["", "—"], ...Object.entries(Lexicon.REGISTERS)].forEach(([value, text]) => {
+				const opt = document.createElement("option");
+				opt.value = value; opt.textContent = text;
+				registerSelect.appendChild(opt);
+			});
+			registerSelect.value = word.register || "";
+			row.insertCell().appendChild(registerSelect);
+			addInput("dialect", "方言");
+
+			const lockInput = document.createElement("input");
+			lockInput.type = "checkbox";
+			lockInput.className = "lexicon-field";
+			lockInput.dataset.field = "locked";
+			lockInput.checked = Boolean(word.locked);
+			lockInput.setAttribute("aria-label", "再生成時にこの単語を保持");
+			row.insertCell().appendChild(lockInput);
+
+			const removeBtn = document.createElement("button");
+			removeBtn.type = "button"; removeBtn.className = "btn btn-secondary text-sm remove-word-btn"; removeBtn.textContent = "X";
+			removeBtn.setAttribute("aria-label", "この単語を削除");
+			row.insertCell().appendChild(removeBtn);
+
+			this.markInventoryErrors(row, word);
+			return row;
+		},
+
+		/**
+		 * Lists the word families in the filter, keeping the selection while its root
+		 * still has a family. @returns {string} the selected root id, or "" for all words
+		 */
+		renderFamilyFilter() {
+			const selected = UI.familyFilter.value;
+			const families = Lexicon.families();
+			UI.familyFilter.textContent = "";
+			const all = document.createElement("option");
+			all.value = "";
+			all.textContent = "すべての語";
+			UI.familyFilter.appendChild(all);
+			families.forEach(({ root, members }) => {
+				const opt = document.createElement("option");
+				opt.value = root.id;
+				opt.textContent = `${root.meaning} (${members.length}語)`;
+				UI.familyFilter.appendChild(opt);
+			});
+			UI.familyFilter.value = families.some((f) => f.root.id === selected) ? selected : "";
+			return UI.familyFilter.value;
+		},
+
+		/**
+		 * Draws how a root spreads into its derivatives as a nested list. Each node names
+		 * what was added to its parent; the root also shows a loan source and an
+		 * irregular stem if it has them.
+		 */
+		updateEtymologyTree(root) {
+			UI.etymologyTree.textContent = "";
+			if (!root) {
+				const p = document.createElement("p");
+				p.className = "text-gray-400";
+				p.textContent = "語族を選ぶと、語根からの派生を樹形図で表示します。";
+				UI.etymologyTree.appendChild(p);
+				return;
+			}
+			const byId = Lexicon.indexById();
+			const { CATEGORIES } = MorphoSyntax;
+			const renderNode = ({ word, children }, parent) => {
+				const li = document.createElement("li");
+				const label = document.createElement("span");
+				label.className = "font-semibold";
+				label.textContent = `${word.roman} ${word.ipa}`;
+				const notes = [`'${word.meaning}'`];
+				if (parent && word.etymology.type === "derivation") {
+					notes.push(`← ${Lexicon.affixNotation(word.etymology.morphemes[word.etymology.morphemes.length - 1])}`);
+				} else if (parent) {
+					const other = word.etymology.sources.filter((id) => id !== parent.id).map((id) => (byId.has(id) ? byId.get(id).meaning : `?${id}`));
+					notes.push(`← 複合語 (+ ${other.join(", ")})`);
+				}
+				if (word.etymology && word.etymology.type === "loanword") {
+					const { language, word: source, ipa } = word.etymology.loan;
+					notes.push(`← ${language} "${source}"${ipa ? ` /${ipa}/` : ""} からの借用`);
+				}
+				if (word.irregular) notes.push(`不規則語幹 ${word.irregular.stem} (${CATEGORIES[word.irregular.category].values[word.irregular.value].label})`);
+				li.append(label, ` ${notes.join(" ")}`);
+				if (children.length > 0) {
+					const ul = document.createElement("ul");
+					ul.className = "pl-6 border-l border-gray-600";
+					children.forEach((child) => ul.appendChild(renderNode(child, word)));
+					li.appendChild(ul);
+				}
+				return li;
+			};
+			const ul = document.createElement("ul");
+			ul.appendChild(renderNode(Lexicon.derivationTree(root), null));
+			UI.etymologyTree.appendChild(ul);
+		},
+
+		updateCalqueProposals() {
+			const proposals = Lexicon.proposeCalques();
+			UI.calqueProposals.textContent = "";
+			UI.addAllCalques.classList.toggle("hidden", proposals.length < 2);
+			if (proposals.length === 0) {
+				const p = document.createElement("p");
+				p.className = "text-gray-400";
+				p.textContent = "辞書の語から作れる複合語の候補はありません。";
+				UI.calqueProposals.appendChild(p);
+				return;
+			}
+			const fragment = document.createDocumentFragment();
+			proposals.forEach(({ meaning, modifier, head }) => {
+				const preview = MorphoSyntax.applyCompounding(modifier, head, meaning);
+				const div = document.createElement("div");
+				div.className = "flex gap-2 items-center";
+				const text = document.createElement("span");
+				text.textContent = `${meaning} = ${modifier.meaning} + ${head.meaning} → ${preview.roman} ${preview.ipa}`;
+				const btn = document.createElement("button");
+				btn.type = "button";
+				btn.className = "btn btn-secondary text-sm add-calque-btn";
+				btn.dataset.meaning = meaning;
+				btn.textContent = "追加";
+				btn.setAttribute("aria-label", `「${meaning}」を辞書に追加`);
+				div.append(text, btn);
+				fragment.appendChild(div);
+			});
+			UI.calqueProposals.appendChild(fragment);
+		},
+
+		handleAddCalque(event) {
+			const btn = event.target.closest(".add-calque-btn");
+			if (btn && Lexicon.addCalque(btn.dataset.meaning)) this.updateLexiconViews();
+		},
+
+		handleAddAllCalques() {
+			const added = Lexicon.proposeCalques().filter(({ meaning }) => Lexicon.addCalque(meaning));
+			if (added.length > 0) this.updateLexiconViews();
+		},
+
+		// Refreshes everything that lists dictionary entries after words were added.
+		updateLexiconViews() {
+			this.updateDictionaryView();
+			this.updateCalqueProposals();
+			this.updateParadigmView();
+			this.updateTranslation();
+			this.updateDiagnostics();
+			this.updateEvolutionView();
+			this.scheduleAutosave();
+		},
+
+		/**
+		 * Flags the IPA cell of a row when it uses segments outside the phoneme inventory.
+		 */
+		markInventoryErrors(row, word) {
+			const ipaInput = row.querySelector('[data-field="ipa"]');
+			const unknown = Phonology.findOutOfInventory(word.ipa);
+			const invalid = unknown.length > 0;
+			ipaInput.classList.toggle("border-red-500", invalid);
+			ipaInput.setAttribute("aria-invalid", String(invalid));
+			ipaInput.title = invalid ? `音素目録にない音: ${unknown.join(" ")}` : "";
+		},
+
+		updateLexiconWarnings() {
+			const count = languageState.generated.dictionary.filter((w) => Phonology.findOutOfInventory(w.ipa).length > 0).length;
+			UI.lexiconWarnings.textContent = count > 0 ? `${count}語に音素目録にない音が含まれています（赤枠のIPA欄）。` : "";
+		},
+
+		handleLexiconEdit(event) {
+			const field = event.target.dataset.field;
+			const row = event.target.closest("tr");
+			if (!field || !row) return;
+			const word = languageState.generated.dictionary[Number(row.dataset.index)];
+
+			if (field === "locked") {
+				word.locked = event.target.checked;
+			} else if (field === "gender") {
+				word.gender = event.target.value || null;
+			} else if (field === "senses") {
+				const senses = Lexicon.parseSenses(event.target.value, word.pos);
+				if (senses.length > 0) word.senses = senses;
+				else delete word.senses;
+				event.target.value = Lexicon.formatSenses(word);
+			} else if (field === "register" || field === "dialect") {
+				// Neutral, dialect-free entries leave the fields out altogether.
+				const value = event.target.value.trim();
+				if (value) word[field] = value;
+				else delete word[field];
+			} else if (field === "tags" || field === "pos") {
+				// Argument metadata follows the part of speech, so both edits re-tag the entry.
+				if (field === "pos") word.pos = event.target.value.trim();
+				const tags = field === "tags" ? Lexicon.parseMeaning(`:${event.target.value}`).tags : Lexicon.tagsOf(word);
+				Lexicon.applyTags(word, tags);
+				row.querySelector('[data-field="pos"]').value = word.pos;
+				row.querySelector('[data-field="tags"]').value = Lexicon.tagsOf(word).join(", ");
+			} else if (field === "ipa") {
+				const raw = event.target.value.trim().replace(/^\/|\/$/g, "");
+				const newIpa = `/${raw}/`;
+				// Keep the roman column in sync unless the user has already customised it.
+				if (word.roman === Phonology.romanize(word.ipa.slice(1, -1))) {
+					word.roman = Phonology.romanize(raw);
+					row.querySelector('[data-field="roman"]').value = word.roman;
+				}
+				word.ipa = newIpa;
+				event.target.value = newIpa;
+				this.markInventoryErrors(row, word);
+				this.updateLexiconWarnings();
+			} else {
+				word[field] = event.target.value.trim();
+			}
+			this.updateCalqueProposals();
+			this.updateExampleSentences();
+			this.scheduleDiagnostics();
+			this.updateParadigmView();
+			this.updateEvolutionView();
+			this.scheduleAutosave();
+		},
+
+		currentOrthographyScheme() {
+			const { schemes } = languageState.orthography;
+			if (!schemes[this.editingOrthography]) this.editingOrthography = languageState.orthography.primary;
+			return schemes[this.editingOrthography];
+		},
+
+		renderOrthographyEditor() {
+			const { schemes, primary } = languageState.orthography;
+			const scheme = this.currentOrthographyScheme();
+
+			UI.orthographySelect.textContent = "";
+			schemes.forEach((s, i) => {
+				const opt = document.createElement("option");
+				opt.value = i;
+				opt.textContent = i === primary ? `${s.name} (主要)` : s.name;
+				UI.orthographySelect.appendChild(opt);
+			});
+			UI.orthographySelect.value = this.editingOrthography;
+			UI.orthographyPrimary.checked = this.editingOrthography === primary;
+			UI.orthographyPrimary.disabled = this.editingOrthography === primary;
+			UI.orthographyInherit.checked = scheme.inheritDefaults;
+			UI.deleteOrthography.disabled = schemes.length <= 1;
+
+			UI.orthographyMap.textContent = "";
+			const fragment = document.createDocumentFragment();
+			Phonology.getInventory().forEach((segment) => {
+				const label = document.createElement("label");
+				label.className = "flex items-center gap-2";
+				const span = document.createElement("span");
+				span.className = "w-10 font-mono";
+				span.textContent = segment;
+				const input = document.createElement("input");
+				input.type = "text";
+				input.dataset.segment = segment;
+				input.value = scheme.map[segment] !== undefined ? scheme.map[segment] : "";
+				input.placeholder = scheme.inheritDefaults ? Orthography._defaultGrapheme(segment) || "" : "";
+				input.setAttribute("aria-label", `/${segment}/ の綴り`);
+				label.append(span, input);
+				fragment.appendChild(label);
+			});
+			UI.orthographyMap.appendChild(fragment);
+
+			UI.orthographyRulesList.textContent = "";
+			scheme.rules.forEach((rule) => this.addDynamicInput("orthographyRule", rule));
+			this.updateOrthographyWarnings();
+		},
+
+		updateOrthographyWarnings() {
+			const unmapped = Orthography.unmapped(this.currentOrthographyScheme());
+			UI.orthographyWarnings.textContent = unmapped.length > 0
+				? `綴りが未設定の音素 (IPAのまま表示されます): ${unmapped.join(" ")}`
+				: "";
+		},
+
+		/**
+		 * Applies an edit to the scheme being edited and respells every dictionary entry
+		 * whose roman form was still the automatic spelling.
+		 */
+		updateOrthography(mutate) {
+			const { dictionary } = languageState.generated;
+			const before = dictionary.map((word) => Phonology.romanize(word.ipa.slice(1, -1)));
+			mutate(this.currentOrthographyScheme());
+			dictionary.forEach((word, i) => {
+				if (word.roman === before[i]) word.roman = Phonology.romanize(word.ipa.slice(1, -1));
+			});
+			this.updateOrthographyWarnings();
+			this.updateGrammarSummary();
+			this.updateDictionaryView();
+			this.updateExampleSentences();
+			this.updateParadigmView();
+			this.updateEvolutionView();
+			this.scheduleAutosave();
+		},
+
+		handleOrthographySelect(event) {
+			this.editingOrthography = Number(event.target.value);
+			this.renderOrthographyEditor();
+		},
+
+		handleOrthographyPrimary() {
+			const index = this.editingOrthography;
+			this.updateOrthography(() => { languageState.orthography.primary = index; });
+			this.renderOrthographyEditor();
+		},
+
+		handleOrthographyMapInput(event) {
+			const { segment } = event.target.dataset;
+			if (!segment) return;
+			const value = event.target.value;
+			this.updateOrthography((scheme) => {
+				if (value === "") delete scheme.map[segment];
+				else scheme.map[segment] = value;
+			});
+		},
+
+		handleOrthographyRulesChange() {
+			const rules = [];
+			UI.orthographyRulesList.querySelectorAll(".orthography-rule-item").forEach((item) => {
+				const from = item.querySelector(".rule-from").value;
+				const to = item.querySelector(".rule-to").value;
+				if (from.includes(">")) rules.push({ from, to });
+			});
+			this.updateOrthography((scheme) => { scheme.rules = rules; });
+		},
+
+		handleAddOrthography() {
+			const name = prompt("新しい正書法の名前", "新しい正書法");
+			if (name === null || !name.trim()) return;
+			languageState.orthography.schemes.push(Orthography.createScheme(name.trim()));
+			this.editingOrthography = languageState.orthography.schemes.length - 1;
+			this.renderOrthographyEditor();
+			this.scheduleAutosave();
+		},
+
+		handleRenameOrthography() {
+			const scheme = this.currentOrthographyScheme();
+			const name = prompt("正書法の名前", scheme.name);
+			if (name === null || !name.trim()) return;
+			scheme.name = name.trim();
+			this.renderOrthographyEditor();
+			this.updateGrammarSummary();
+			this.scheduleAutosave();
+		},
+
+		handleDeleteOrthography() {
+			const { schemes } = languageState.orthography;
+			if (schemes.length <= 1) return;
+			const index = this.editingOrthography;
+			if (!confirm(`正書法「${schemes[index].name}」を削除しますか？`)) return;
+			this.updateOrthography(() => {
+				const orthography = languageState.orthography;
+				schemes.splice(index, 1);
+				if (orthography.primary === index) orthography.primary = 0;
+				else if (orthography.primary > index) orthography.primary--;
+			});
+			this.editingOrthography = languageState.orthography.primary;
+			this.renderOrthographyEditor();
+		},
+
+		renderMarkerEditor() {
+			const { markerOverrides } = languageState.morphoSyntax;
+			UI.markerEditor.textContent = "";
+			const fragment = document.createDocumentFragment();
+			Object.entries(MorphoSyntax.CATEGORIES).forEach(([category, { label, values }]) => {
+				MorphoSyntax.categoryValues(category).forEach((value) => {
+					const wrapper = document.createElement("label");
+					wrapper.className = "flex items-center gap-2";
+					const span = document.createElement("span");
+					span.className = "w-20 text-sm";
+					span.textContent = `${label}・${values[value].label}`;
+					const input = document.createElement("input");
+					input.type = "text";
+					input.dataset.category = category;
+					input.dataset.value = value;
+					const override = (markerOverrides[category] || {})[value];
+					input.value = override === undefined ? "" : override || "∅";
+					input.placeholder = languageState.generated.grammar.markers[category][value] || "∅";
+					input.setAttribute("aria-label", `${label}・${values[value].label}の標識 (IPA)`);
+					wrapper.append(span, input);
+					fragment.appendChild(wrapper);
+				});
+			});
+			UI.markerEditor.appendChild(fragment);
+			this.markMarkerProblems();
+		},
+
+		// Flags marker inputs whose affix is missing or could be mistaken for another one.
+		markMarkerProblems() {
+			const problems = MorphoSyntax.markerProblems();
+			UI.markerEditor.querySelectorAll("input[data-category]").forEach((input) => {
+				const problem = problems.get(`${input.dataset.category}.${input.dataset.value}`);
+				input.classList.toggle("border-yellow-400", Boolean(problem));
+				input.title = problem || "";
+			});
+		},
+
+		// Refreshes everything that shows inflected forms after the markers changed.
+		updateMarkerViews() {
+			this.updateGrammarSummary();
+			this.updateParadigmView();
+			this.updateExampleSentences();
+			this.updateEvolutionView();
+			this.scheduleAutosave();
+		},
+
+		handleMarkerInput(event) {
+			const { category, value } = event.target.dataset;
+			if (!category) return;
+			const { markerOverrides } = languageState.morphoSyntax;
+			const form = event.target.value.trim();
+			if (form === "") {
+				if (markerOverrides[category]) delete markerOverrides[category][value];
+			} else {
+				markerOverrides[category] = markerOverrides[category] || {};
+				markerOverrides[category][value] = form === "∅" ? "" : form;
+			}
+			this.markMarkerProblems();
+			this.updateMarkerViews();
+		},
+
+		handleRegenerateMarkers() {
+			// A fresh marker seed gives new markers; the lexicon and its seed stay as they are.
+			// The marker seed is saved, so the next generation keeps these markers.
+			languageState.morphoSyntax.markerSeed = Random.createSeed();
+			MorphoSyntax.generateMarkers();
+			this.scheduleAutosave();
+			this.renderMarkerEditor();
+			this.updateMarkerViews();
+		},
+
+		/**
+		 * Lists the words with a paradigm that match the picker's search, at most
+		 * PARADIGM_MATCHES of them, and shows the tables of the selected one.
+		 */
+		updateParadigmView() {
+			const { dictionary } = languageState.generated;
+			const selected = UI.paradigmWord.value;
+			const query = UI.paradigmSearch.value.trim().toLowerCase();
+			const matches = [];
+			let total = 0;
+			dictionary.forEach((word, i) => {
+				if (!MorphoSyntax.hasParadigm(word)) return;
+				if (query && ![word.roman, word.meaning].some((text) => String(text || "").toLowerCase().includes(query))) return;
+				total++;
+				// The selected word stays listed even past the limit.
+				if (matches.length < this.PARADIGM_MATCHES || String(i) === selected) matches.push(i);
+			});
+			UI.paradigmWord.textContent = "";
+			const options = document.createDocumentFragment();
+			matches.forEach((i) => {
+				const word = dictionary[i];
+				const opt = document.createElement("option");
+				opt.value = i;
+				opt.textContent = `${word.roman} (${word.meaning})${word.irregular ? " [不規則]" : ""}`;
+				options.appendChild(opt);
+			});
+			if (total > matches.length) {
+				const more = document.createElement("option");
+				more.disabled = true;
+				more.textContent = `…ほか${total - matches.length}語 (検索で絞り込んでください)`;
+				options.appendChild(more);
+			}
+			UI.paradigmWord.appendChild(options);
+			if (matches.some((i) => String(i) === selected)) UI.paradigmWord.value = selected;
+
+			UI.paradigmTables.textContent = "";
+			const word = dictionary[UI.paradigmWord.value];
+			if (!word) {
+				UI.paradigmTables.textContent = "活用する単語がありません。屈折カテゴリを選択してください。";
+				return;
+			}
+			const fragment = document.createDocumentFragment();
+			MorphoSyntax.paradigm(word).forEach((table) => {
+				const tableEl = document.createElement("table");
+				if (table.title) {
+					const caption = document.createElement("caption");
+					caption.className = "text-left text-gray-400";
+					caption.textContent = table.title;
+					tableEl.appendChild(caption);
+				}
+				const headRow = tableEl.createTHead().insertRow();
+				["", ...(table.columns.some(Boolean) ? table.columns : ["形"])].forEach((label) => {
+					const th = document.createElement("th");
+					th.textContent = label;
+					headRow.appendChild(th);
+				});
+				const body = tableEl.createTBody();
+				table.rows.forEach((row) => {
+					const tr = body.insertRow();
+					const th = document.createElement("th");
+					th.scope = "row";
+					th.textContent = row.label;
+					tr.appendChild(th);
+					row.cells.forEach((form) => {
+						const td = tr.insertCell();
+						const roman = document.createElement("div");
+						roman.textContent = form.roman;
+						const ipa = document.createElement("div");
+						ipa.className = "font-mono text-xs text-gray-400";
+						ipa.textContent = `/${form.ipa}/`;
+						td.append(roman, ipa);
+						if (form.irregular) {
+							td.classList.add("text-yellow-300");
+							td.title = "不規則語幹";
+						}
+					});
+				});
+				fragment.appendChild(tableEl);
+			});
+			UI.paradigmTables.appendChild(fragment);
+		},
 
-			if (adjectives.length > 0 && Math.random() > 0.5) {
-				const adjective = { ...adjectives[Math.floor(Math.random() * adjectives.length)] };
-				let adjectiveForm = adjective.roman;
+		currentDaughter() {
+			const { daughters } = languageState.evolution;
+			if (!daughters[this.editingDaughter]) this.editingDaughter = 0;
+			return daughters[this.editingDaughter] || null;
+		},
 
-				if (genderAgreement && grammaticalGender !== "none" && subject.gender) {
-					let suffix = "";
-					if (subject.gender === "masculine") suffix = "o";
-					else if (subject.gender === "feminine") suffix = "a";
-					else if (subject.gender === "neuter") suffix = "e";
-					if (suffix) adjectiveForm += `-${suffix}`;
-				}
+		renderEvolutionEditor() {
+			const { daughters } = languageState.evolution;
+			const daughter = this.currentDaughter();
 
-				if (adjectiveOrder === "AN") {
-					subjectPhrase = `${adjectiveForm} ${subject.roman}`;
-				} else {
-					subjectPhrase = `${subject.roman} ${adjectiveForm}`;
-				}
-				humanReadableSubject = `${adjective.meaning} ${subject.meaning}`;
-			}
+			UI.daughterSelect.textContent = "";
+			daughters.forEach((d, i) => {
+				const opt = document.createElement("option");
+				opt.value = i;
+				opt.textContent = d.name;
+				UI.daughterSelect.appendChild(opt);
+			});
+			UI.daughterSelect.value = this.editingDaughter;
+			[UI.daughterSelect, UI.renameDaughter, UI.deleteDaughter, UI.addSoundChange, UI.exportDaughter, UI.openDaughter]
+				.forEach((el) => { el.disabled = !daughter; });
 
-			const { subjectMarker, objectMarker, tenses } = languageState.generated.grammar;
-			let s_final = subjectPhrase;
-			let o_final = object.roman;
+			UI.soundChangesList.textContent = "";
+			if (daughter) daughter.changes.forEach((change) => this.addDynamicInput("soundChange", change));
+			this.updateEvolutionView();
+		},
 
-			switch (caseMarking) {
-				case "suffix":
-					s_final = s_final + "-" + subjectMarker;
-					o_final = o_final + "-" + objectMarker;
-					break;
-				case "prefix":
-					s_final = subjectMarker + "-" + s_final;
-					o_final = objectMarker + "-" + o_final;
-					break;
-				case "postposition":
-					s_final = s_final + " " + subjectMarker;
-					o_final = o_final + " " + objectMarker;
-					break;
+		/**
+		 * Shows the proto form, every stage and the daughter's spelling side by side,
+		 * and notes on each sound-change row how many words it changed.
+		 */
+		updateEvolutionView() {
+			UI.evolutionTableHead.textContent = "";
+			UI.evolutionTableBody.textContent = "";
+			const daughter = this.currentDaughter();
+			if (!daughter) {
+				UI.evolutionStatus.textContent = "娘言語がありません。「V. 音変化」で新規作成してください。";
+				return;
 			}
+			const { stages, dictionary } = Evolution.evolve(daughter);
+			const notes = UI.soundChangesList.querySelectorAll(".rule-diagnostic");
+			stages.forEach((stage, i) => {
+				if (!notes[i]) return;
+				const error = stage.change.from.trim() ? stage.error : null;
+				notes[i].textContent = error ? `エラー: ${error}` : `${stage.fired}語に適用`;
+				notes[i].className = `rule-diagnostic w-full text-xs ${error ? "text-red-400" : "text-gray-400"}`;
+			});
 
-			const tenseKeys = Object.keys(tenses);
-			const randomTenseKey = tenseKeys[Math.floor(Math.random() * tenseKeys.length)];
-			const tenseMarker = tenses[randomTenseKey];
-			const v_final = verb.roman + "-" + tenseMarker;
+			const shownStages = stages.filter((stage) => !stage.error);
+			const headRow = document.createElement("tr");
+			["意味", "祖語", ...shownStages.map((stage) => [stage.change.from, stage.change.to].filter(Boolean).join(" / ")), `${daughter.name} (綴り)`]
+				.forEach((label) => {
+					const th = document.createElement("th");
+					th.textContent = label;
+					headRow.appendChild(th);
+				});
+			UI.evolutionTableHead.appendChild(headRow);
 
-			const components = { S: s_final, O: o_final, V: v_final };
-			const orderedSentence = wordOrder.split("").map((c) => components[c]).join(" ");
+			const fragment = document.createDocumentFragment();
+			languageState.generated.dictionary.forEach((word, i) => {
+				const tr = document.createElement("tr");
+				const addCell = (text, className = "") => {
+					const td = document.createElement("td");
+					td.textContent = text;
+					td.className = className;
+					tr.appendChild(td);
+				};
+				addCell(word.meaning);
+				addCell(word.ipa, "font-mono");
+				let previous = word.ipa;
+				shownStages.forEach((stage) => {
+					const ipa = `/${stage.forms[i]}/`;
+					addCell(ipa, ipa === previous ? "font-mono text-gray-500" : "font-mono text-yellow-300");
+					previous = ipa;
+				});
+				addCell(dictionary[i].roman);
+				fragment.appendChild(tr);
+			});
+			UI.evolutionTableBody.appendChild(fragment);
+			const changed = dictionary.filter((word, i) => word.ipa !== languageState.generated.dictionary[i].ipa).length;
+			UI.evolutionStatus.textContent = `${languageState.generated.dictionary.length}語中${changed}語の形が変化しました。`;
+		},
 
-			return `${orderedSentence}. ('The ${humanReadableSubject} ${verb.meaning} (${randomTenseKey}) the ${object.meaning}')`;
+		handleDaughterSelect(event) {
+			this.editingDaughter = Number(event.target.value);
+			this.renderEvolutionEditor();
 		},
-	};
 
-	// --- 4. UI MANAGEMENT MODULE ---
-	const UIManager = {
-		init() {
-			this.cacheDOMElements();
-			this.bindEventListeners();
-			this.updateStateFromUI();
-			this.handleGenerateLexicon();
+		handleSoundChangesChange() {
+			const daughter = this.currentDaughter();
+			if (!daughter) return;
+			// Every row is kept, even unfinished ones, so stage i always matches row i.
+			daughter.changes = Array.from(UI.soundChangesList.querySelectorAll(".sound-change-item"), (item) => ({
+				from: item.querySelector(".rule-from").value,
+				to: item.querySelector(".rule-to").value,
+			}));
+			this.updateEvolutionView();
+			this.scheduleAutosave();
 		},
 
-		cacheDOMElements() {
-			const ids = [
-				"consonants", "vowels", "syllable-structure", "tones-enabled", "tones-controls",
-				"tones-count", "tones-count-value", "phonology-rules-list", "add-phonology-rule",
-				"semantic-fields", "lexicon-size", "loanwords-enabled", "generate-lexicon",
-				"word-order", "adjective-order", "irregularity-rate", "irregularity-rate-value",
-				"derivational-morphemes-list", "add-morpheme", "grammar-summary",
-				"example-sentences", "export-json", "export-csv", "gender-agreement",
-			];
-			ids.forEach((id) => {
-				const camelCaseId = id.replace(/-(\w)/g, (_, c) => c.toUpperCase());
-				UI[camelCaseId] = document.getElementById(id);
-			});
+		handleAddDaughter() {
+			const { daughters } = languageState.evolution;
+			const name = prompt("新しい娘言語の名前", `娘言語 ${daughters.length + 1}`);
+			if (name === null || !name.trim()) return;
+			daughters.push(Evolution.createDaughter(name.trim()));
+			this.editingDaughter = daughters.length - 1;
+			this.renderEvolutionEditor();
+			this.scheduleAutosave();
+		},
 
-			UI.lexiconTableBody = document.querySelector("#lexicon-table tbody");
-			UI.presetBtns = document.querySelectorAll("[data-preset]");
-			UI.caseMarking = document.querySelectorAll('input[name="case-marking"]');
-			UI.grammaticalGender = document.querySelectorAll('input[name="grammatical-gender"]');
+		handleRenameDaughter() {
+			const daughter = this.currentDaughter();
+			if (!daughter) return;
+			const name = prompt("娘言語の名前", daughter.name);
+			if (name === null || !name.trim()) return;
+			daughter.name = name.trim();
+			this.renderEvolutionEditor();
+			this.scheduleAutosave();
 		},
 
-		bindEventListeners() {
-			// CHANGE: Consolidated simple input listeners to call handleInputChange for better maintainability.
-			const controlsToListen = [
-				UI.consonants, UI.vowels, UI.syllableStructure, UI.semanticFields, UI.lexiconSize,
-				UI.wordOrder, UI.adjectiveOrder, UI.tonesEnabled, UI.loanwordsEnabled, UI.genderAgreement,
-			];
-			controlsToListen.forEach((el) => el.addEventListener("input", () => this.handleInputChange()));
+		handleDeleteDaughter() {
+			const daughter = this.currentDaughter();
+			if (!daughter) return;
+			if (!confirm(`娘言語「${daughter.name}」を削除しますか？`)) return;
+			languageState.evolution.daughters.splice(this.editingDaughter, 1);
+			this.editingDaughter = 0;
+			this.renderEvolutionEditor();
+			this.scheduleAutosave();
+		},
 
-			UI.caseMarking.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
-			UI.grammaticalGender.forEach((el) => el.addEventListener("change", () => this.handleInputChange()));
-			UI.presetBtns.forEach((el) => el.addEventListener("click", (e) => this.handlePresetClick(e)));
-			UI.tonesCount.addEventListener("input", (e) => this.handleTonesToggle(e));
-			// FIX: Removed extra closing parenthesis that caused a syntax error.
-			UI.irregularityRate.addEventListener("input", (e) => this.handleIrregularityRate(e));
-			UI.generateLexicon.addEventListener("click", () => this.handleGenerateLexicon());
-			UI.addPhonologyRule.addEventListener("click", () => this.addDynamicInput("phonologyRule"));
-			UI.addMorpheme.addEventListener("click", () => this.addDynamicInput("morpheme"));
-			UI.exportJson.addEventListener("click", () => this.exportJSON());
-			UI.exportCsv.addEventListener("click", () => this.exportCSV());
-			
-			// Event delegation for dynamic elements
-			UI.phonologyRulesList.addEventListener("click", (e) => this.handleDynamicRemove(e));
-			UI.derivationalMorphemesList.addEventListener("click", (e) => this.handleDynamicRemove(e));
-			UI.phonologyRulesList.addEventListener("input", () => this.handleInputChange());
-			UI.derivationalMorphemesList.addEventListener("input", () => this.handleInputChange());
+		exportDaughter() {
+			const daughter = this.currentDaughter();
+			if (!daughter) return;
+			this.runExport("json", { data: Evolution.toLanguageData(daughter), filename: `${daughter.name}.json` });
 		},
 
-		updateStateFromUI() {
-			languageState.phonology.consonants = UI.consonants.value.trim().split(/\s+/).filter(Boolean);
-			languageState.phonology.vowels = UI.vowels.value.trim().split(/\s+/).filter(Boolean);
-			languageState.phonology.syllableStructures = UI.syllableStructure.value.trim().split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
-			languageState.phonology.tones.enabled = UI.tonesEnabled.checked;
-			languageState.phonology.tones.count = parseInt(UI.tonesCount.value, 10);
-			languageState.lexicon.semanticFields = UI.semanticFields.value.trim().split(",").map(s => s.trim()).filter(Boolean);
-			languageState.lexicon.rootCount = parseInt(UI.lexiconSize.value, 10);
-			languageState.lexicon.loanwords.enabled = UI.loanwordsEnabled.checked;
-			languageState.morphoSyntax.wordOrder = UI.wordOrder.value;
-			languageState.morphoSyntax.adjectiveOrder = UI.adjectiveOrder.value;
-			languageState.morphoSyntax.caseMarking = document.querySelector('input[name="case-marking"]:checked').value;
-			languageState.morphoSyntax.grammaticalGender = document.querySelector('input[name="grammatical-gender"]:checked').value;
-			languageState.morphoSyntax.genderAgreement = UI.genderAgreement.checked;
-			languageState.morphoSyntax.irregularityRate = parseInt(UI.irregularityRate.value, 10) / 100;
+		/**
+		 * Opens the daughter as a project of its own, so it can be edited, generated
+		 * further or evolved again like any other language.
+		 */
+		handleOpenDaughter() {
+			const daughter = this.currentDaughter();
+			if (!daughter) return;
+			const { errors, warnings, data } = LanguageFile.validate(Evolution.toLanguageData(daughter));
+			if (!data) {
+				this.showImportMessages(errors, warnings);
+				return;
+			}
+			this.saveActiveProject();
+			const id = ProjectStore.createId();
+			this.projectIndex.projects.push({ id, name: daughter.name });
+			this.projectIndex.activeId = id;
+			this.renderProjectSelect();
+			this.resetControls();
+			this.restoreWorkspace(data);
+			this.saveActiveProject();
+		},
 
-			languageState.phonology.phonologicalRules = [];
-			document.querySelectorAll(".phonology-rule-item").forEach((item) => {
-				const from = item.querySelector(".rule-from").value;
-				const to = item.querySelector(".rule-to").value;
-				if (from && to) languageState.phonology.phonologicalRules.push({ from, to });
-			});
+		handleAddWord() {
+			// Hand-made entries are locked so the next regeneration does not discard them.
+			const word = Lexicon.applyTags({ ipa: "//", roman: "", pos: "noun", meaning: "", gender: null, locked: true }, []);
+			languageState.generated.dictionary.push(...Lexicon.assignIds([word]));
+			this.updateDictionaryView();
+			this.scheduleAutosave();
+			const row = this.revealLexiconEntry(languageState.generated.dictionary.length - 1);
+			if (row) row.querySelector('[data-field="ipa"]').focus();
+		},
 
-			languageState.morphoSyntax.derivationalMorphemes = [];
-			document.querySelectorAll(".morpheme-item").forEach((item) => {
-				const type = item.querySelector(".morpheme-type").value;
-				const form = item.querySelector(".morpheme-form").value;
-				const func = item.querySelector(".morpheme-func").value;
-				if (form && func) languageState.morphoSyntax.derivationalMorphemes.push({ type, form, func });
-			});
+		/**
+		 * Scrolls the lexicon table to an entry, first clearing the search and filters
+		 * if they hide it. @returns {HTMLTableRowElement|null} the entry's row
+		 */
+		revealLexiconEntry(index) {
+			let position = this.lexiconView.rows.indexOf(index);
+			if (position === -1) {
+				UI.lexiconSearch.value = "";
+				[UI.familyFilter, UI.lexiconFilterPos, UI.lexiconFilterGender, UI.lexiconFilterOrigin, UI.lexiconFilterField]
+					.forEach((select) => { select.value = ""; });
+				this.refreshLexiconRows();
+				position = this.lexiconView.rows.indexOf(index);
+			}
+			UI.lexiconScroll.scrollTop = position * this.lexiconView.rowHeight;
+			this.renderLexiconWindow();
+			return UI.lexiconTableBody.querySelector(`tr[data-index="${index}"]`);
 		},
 
-		updateAllDisplays() {
-			this.updateGrammarSummary();
+		handleRemoveWord(event) {
+			if (!event.target.classList.contains("remove-word-btn")) return;
+			const row = event.target.closest("tr");
+			languageState.generated.dictionary.splice(Number(row.dataset.index), 1);
 			this.updateDictionaryView();
+			this.updateCalqueProposals();
 			this.updateExampleSentences();
+			this.updateDiagnostics();
+			this.updateParadigmView();
+			this.updateEvolutionView();
+			this.scheduleAutosave();
 		},
 
-		getMorphologicalTypology() {
-			const { derivationalMorphemes, irregularityRate } = languageState.morphoSyntax;
-			const morphemeCount = derivationalMorphemes.length;
-			if (morphemeCount === 0) return { type: "孤立語 (Isolating)", desc: "各単語が不変で、文法関係は語順によって示される傾向があります。（例: 中国語、ベトナム語）" };
-			if (morphemeCount > 2 && irregularityRate < 0.08) return { type: "膠着語 (Agglutinative)", desc: "語根に接辞が次々と付加され、各接辞が単一の文法機能を持つ傾向があります。（例: 日本語、トルコ語）" };
-			if (morphemeCount > 0 && irregularityRate >= 0.08) return { type: "屈折語 (Fusional)", desc: "接辞が複数の文法機能を同時に担い、不規則な変化が多い傾向があります。（例: ラテン語、ロシア語）" };
-			return { type: "分析語 (Analytic)", desc: "文法機能の多くを独立した単語（助詞など）や語順で示す傾向があります。" };
-		},
-
-		updateGrammarSummary() {
-			const { phonology, morphoSyntax, generated } = languageState;
-			UI.grammarSummary.textContent = "";
+		updateTranslation() {
+			UI.translationOutput.textContent = "";
+			const text = UI.translateInput.value.trim();
+			if (!text) return;
+			const result = Translator.translate(text);
+			if (result.error) {
+				const p = document.createElement("p");
+				p.className = "text-red-400";
+				p.textContent = result.error;
+				UI.translationOutput.appendChild(p);
+				return;
+			}
 			const fragment = document.createDocumentFragment();
-			const createSection = (title) => {
-				const h4 = document.createElement("h4");
-				h4.className = "text-lg font-semibold mt-4 mb-2 border-b border-gray-700";
-				h4.textContent = title;
-				fragment.appendChild(h4);
-				const ul = document.createElement("ul");
-				ul.className = "list-disc list-inside space-y-1";
-				fragment.appendChild(ul);
-				return ul;
-			};
-			const addItem = (ul, label, value) => {
-				const li = document.createElement("li");
-				const b = document.createElement("b");
-				b.textContent = `${label}: `;
-				li.appendChild(b);
-				li.appendChild(document.createTextNode(value));
-				ul.appendChild(li);
-			};
-
-			const typologyUl = createSection("類型論的特徴");
-			const morphologyType = this.getMorphologicalTypology();
-			addItem(typologyUl, "形態論的類型", `${morphologyType.type} - ${morphologyType.desc}`);
-			const adpositionType = morphoSyntax.wordOrder === "SOV" || morphoSyntax.caseMarking === "postposition" ? "後置詞言語 (Postpositional)" : "前置詞言語 (Prepositional)";
-			addItem(typologyUl, "接置詞", adpositionType);
-
-			const syntaxUl = createSection("統語論 (Syntax)");
-			addItem(syntaxUl, "基本語順", morphoSyntax.wordOrder);
-			const adjOrderMap = { AN: "形容詞 + 名詞", NA: "名詞 + 形容詞" };
-			addItem(syntaxUl, "形容詞の語順", adjOrderMap[morphoSyntax.adjectiveOrder]);
-
-			const morphologyUl = createSection("形態論 (Morphology)");
-			const caseMarkingMap = { suffix: "接尾辞", prefix: "接頭辞", postposition: "後置詞" };
-			addItem(morphologyUl, "格標示", `主格: -${generated.grammar.subjectMarker}, 目的格: -${generated.grammar.objectMarker} (${caseMarkingMap[morphoSyntax.caseMarking]})`);
-			addItem(morphologyUl, "名詞の数", `複数形: -${generated.grammar.pluralMarker}`);
-			const tenses = Object.entries(generated.grammar.tenses).map(([k, v]) => `${k}: -${v}`).join(', ');
-			addItem(morphologyUl, "動詞の時制", tenses);
-			const genderMap = { none: "なし", mf: "男性/女性", mfn: "男性/女性/中性" };
-			addItem(morphologyUl, "文法性", `${genderMap[morphoSyntax.grammaticalGender]} (${morphoSyntax.genderAgreement ? "一致あり" : "一致なし"})`);
-			addItem(morphologyUl, "不規則性", `${Math.round(morphoSyntax.irregularityRate * 100)}%`);
+			const sentence = document.createElement("p");
+			sentence.className = "text-lg font-semibold";
+			sentence.textContent = result.sentence;
+			fragment.appendChild(sentence);
 
-			const phonologyUl = createSection("音韻論 (Phonology)");
-			addItem(phonologyUl, "音素", `${phonology.consonants.length}子音, ${phonology.vowels.length}母音`);
-			addItem(phonologyUl, "音節構造", phonology.syllableStructures.join(", "));
-			const toneSummary = phonology.tones.enabled ? `あり (${phonology.tones.count}種)` : "なし";
-			addItem(phonologyUl, "声調", toneSummary);
+			// Interlinear gloss: each word's morphemes stacked over their glosses.
+			const interlinear = document.createElement("div");
+			interlinear.className = "flex flex-wrap gap-x-4 gap-y-2";
+			result.words.forEach((word) => {
+				const column = document.createElement("div");
+				column.className = "flex flex-col";
+				const form = document.createElement("span");
+				form.textContent = word.segmented;
+				const gloss = document.createElement("span");
+				gloss.className = "font-mono text-xs text-gray-400";
+				gloss.textContent = word.gloss;
+				column.append(form, gloss);
+				interlinear.appendChild(column);
+			});
+			fragment.appendChild(interlinear);
+			const free = document.createElement("p");
+			free.className = "text-gray-400";
+			free.textContent = `‘${text}’`;
+			fragment.appendChild(free);
 
-			UI.grammarSummary.appendChild(fragment);
+			if (result.unknown.length > 0) {
+				const roleLabels = { noun: "名詞", verb: "動詞", adjective: "形容詞" };
+				const unknown = document.createElement("div");
+				unknown.className = "flex flex-wrap items-center gap-2 text-sm text-yellow-400";
+				unknown.appendChild(document.createTextNode("辞書にない語:"));
+				result.unknown.forEach(({ lemma, role }) => {
+					const btn = document.createElement("button");
+					btn.type = "button";
+					btn.className = "btn btn-secondary text-sm coin-word-btn";
+					btn.dataset.lemma = lemma;
+					btn.dataset.role = role;
+					btn.textContent = `${lemma} (${roleLabels[role]}) を造語`;
+					unknown.appendChild(btn);
+				});
+				if (result.unknown.length > 1) {
+					const allBtn = document.createElement("button");
+					allBtn.type = "button";
+					allBtn.className = "btn btn-secondary text-sm coin-all-btn";
+					allBtn.textContent = "すべて造語";
+					unknown.appendChild(allBtn);
+				}
+				fragment.appendChild(unknown);
+			}
+			UI.translationOutput.appendChild(fragment);
 		},
 
-		updateDictionaryView() {
-			const { dictionary } = languageState.generated;
-			const tableBody = UI.lexiconTableBody;
-			tableBody.textContent = "";
+		updateGloss() {
+			UI.glossOutput.textContent = "";
+			const text = UI.glossInput.value.trim();
+			if (!text) return;
+			const { words, translation } = Glosser.gloss(text);
 			const fragment = document.createDocumentFragment();
-			dictionary.forEach((word) => {
-				const row = document.createElement("tr");
-				row.insertCell().textContent = word.ipa;
-				row.insertCell().textContent = word.roman;
-				row.insertCell().textContent = word.pos;
-				row.insertCell().textContent = word.meaning;
-				row.insertCell().textContent = word.gender || "—";
-				fragment.appendChild(row);
+			const interlinear = document.createElement("div");
+			interlinear.className = "flex flex-wrap gap-x-4 gap-y-2";
+			words.forEach((word) => {
+				const column = document.createElement("div");
+				column.className = "flex flex-col";
+				const form = document.createElement("span");
+				form.textContent = word.segmented;
+				const gloss = document.createElement("span");
+				gloss.className = "font-mono text-xs text-gray-400";
+				gloss.textContent = word.gloss;
+				if (word.readings === 0) column.classList.add("text-red-400");
+				if (word.readings > 1) {
+					column.classList.add("text-yellow-300");
+					column.title = `他の解釈: ${word.alternatives.join(", ")}`;
+				}
+				column.append(form, gloss);
+				interlinear.appendChild(column);
+			});
+			fragment.appendChild(interlinear);
+			const free = document.createElement("p");
+			free.className = "text-gray-400";
+			free.textContent = translation ? `‘${translation}’` : "";
+			fragment.appendChild(free);
+
+			const unparsed = words.filter((w) => w.readings === 0).map((w) => w.token);
+			const ambiguous = words.filter((w) => w.readings > 1);
+			const notes = [];
+			if (unparsed.length > 0) notes.push({ text: `解析できない語: ${unparsed.join(", ")}`, className: "text-red-400" });
+			ambiguous.forEach((w) => notes.push({ text: `曖昧な分割: ${w.token} (${w.readings}通り: ${[w.gloss, ...w.alternatives].join(" / ")})`, className: "text-yellow-400" }));
+			notes.forEach(({ text: noteText, className }) => {
+				const p = document.createElement("p");
+				p.className = `text-sm ${className}`;
+				p.textContent = noteText;
+				fragment.appendChild(p);
 			});
-			tableBody.appendChild(fragment);
+			UI.glossOutput.appendChild(fragment);
+		},
+
+		handleCoinWord(event) {
+			const { classList } = event.target;
+			if (!classList.contains("coin-word-btn") && !classList.contains("coin-all-btn")) return;
+			const buttons = classList.contains("coin-all-btn")
+				? Array.from(UI.translationOutput.querySelectorAll(".coin-word-btn"))
+				: [event.target];
+			const coined = buttons.filter((btn) => Lexicon.coin(btn.dataset.lemma, btn.dataset.role));
+			if (coined.length > 0) this.updateLexiconViews();
 		},
 
 		updateExampleSentences() {
 			UI.exampleSentences.textContent = "";
 			const fragment = document.createDocumentFragment();
-			for (let i = 0; i < 3; i++) {
+			Random.seed(`${languageState.seed}:sentences`);
+			for (let i = 0; i < languageState.morphoSyntax.exampleSentences.count; i++) {
 				const p = document.createElement("p");
 				p.textContent = MorphoSyntax.generateSentence();
 				fragment.appendChild(p);
@@ -655,21 +5177,67 @@
 			UI.exampleSentences.appendChild(fragment);
 		},
 
-		addDynamicInput(type) {
+		addDynamicInput(type, values = {}) {
 			const div = document.createElement("div");
 			div.className = "flex gap-2 items-center mb-2";
 
-			if (type === "phonologyRule") {
-				div.classList.add("phonology-rule-item");
+			if (type === "phonologyRule" || type === "orthographyRule" || type === "soundChange") {
+				const isSpelling = type === "orthographyRule";
+				const rows = {
+					phonologyRule: { itemClass: "phonology-rule-item", list: UI.phonologyRulesList, from: "n > m", to: "_p" },
+					orthographyRule: { itemClass: "orthography-rule-item", list: UI.orthographyRulesList, from: "k > c", to: "_a" },
+					soundChange: { itemClass: "sound-change-item", list: UI.soundChangesList, from: "p > f", to: "V_V" },
+				};
+				const row = rows[type];
+				div.classList.add(row.itemClass);
 				const fromInput = document.createElement("input");
-				fromInput.type = "text"; fromInput.className = "rule-from w-1/3"; fromInput.placeholder = "n > m";
+				fromInput.type = "text"; fromInput.className = "rule-from w-1/3"; fromInput.placeholder = row.from;
 				const toInput = document.createElement("input");
-				toInput.type = "text"; toInput.className = "rule-to w-1/3"; toInput.placeholder = "_p";
+				toInput.type = "text"; toInput.className = "rule-to w-1/3"; toInput.placeholder = row.to;
+				fromInput.value = values.from || ""; toInput.value = values.to || "";
 				const removeBtn = document.createElement("button");
 				removeBtn.type = "button"; removeBtn.className = "btn btn-secondary text-sm remove-btn"; removeBtn.textContent = "X";
 				removeBtn.setAttribute("aria-label", "このルールを削除");
 				div.append(fromInput, document.createTextNode(" / "), toInput, removeBtn);
-				UI.phonologyRulesList.appendChild(div);
+				if (!isSpelling) {
+					const note = document.createElement("span");
+					note.className = "rule-diagnostic w-full text-xs";
+					note.setAttribute("aria-live", "polite");
+					div.classList.add("flex-wrap");
+					div.appendChild(note);
+				}
+				row.list.appendChild(div);
+			} else if (type === "naturalClass") {
+				div.classList.add("natural-class-item");
+				const nameInput = document.createElement("input");
+				nameInput.type = "text"; nameInput.className = "class-name w-1/6"; nameInput.placeholder = "N"; nameInput.maxLength = 1;
+				nameInput.setAttribute("aria-label", "クラス名 (大文字1字)");
+				const membersInput = document.createElement("input");
+				membersInput.type = "text"; membersInput.className = "class-members w-2/3"; membersInput.placeholder = "m n ŋ または [+nasal]";
+				membersInput.setAttribute("aria-label", "クラスの音素または素性");
+				nameInput.value = values.name || ""; membersInput.value = values.members || "";
+				const removeBtn = document.createElement("button");
+				removeBtn.type = "button"; removeBtn.className = "btn btn-secondary text-sm remove-btn"; removeBtn.textContent = "X";
+				removeBtn.setAttribute("aria-label", "このクラスを削除");
+				div.append(nameInput, document.createTextNode(" = "), membersInput, removeBtn);
+				UI.naturalClassesList.appendChild(div);
+			} else if (type === "customField") {
+				div.classList.add("custom-field-item", "flex-wrap");
+				const nameInput = document.createElement("input");
+				nameInput.type = "text"; nameInput.className = "field-name w-1/3"; nameInput.placeholder = "例: 海洋";
+				nameInput.setAttribute("aria-label", "分野名");
+				const tagsInput = document.createElement("input");
+				tagsInput.type = "text"; tagsInput.className = "field-tags w-1/3"; tagsInput.placeholder = "noun+animate";
+				tagsInput.setAttribute("aria-label", "分野の既定の特性");
+				const meaningsInput = document.createElement("textarea");
+				meaningsInput.className = "field-meanings w-full"; meaningsInput.placeholder = "whale, coral:mass, swim:verb+intransitive";
+				meaningsInput.setAttribute("aria-label", "分野の意味 (カンマまたは改行区切り)");
+				nameInput.value = values.name || ""; tagsInput.value = (values.tags || []).join("+"); meaningsInput.value = (values.meanings || []).join(", ");
+				const removeBtn = document.createElement("button");
+				removeBtn.type = "button"; removeBtn.className = "btn btn-secondary text-sm remove-btn"; removeBtn.textContent = "X";
+				removeBtn.setAttribute("aria-label", "この分野を削除");
+				div.append(nameInput, tagsInput, removeBtn, meaningsInput);
+				UI.customFieldsList.appendChild(div);
 			} else if (type === "morpheme") {
 				div.classList.add("morpheme-item");
 				const typeSelect = document.createElement("select");
@@ -683,12 +5251,14 @@
 				formInput.type = "text"; formInput.className = "morpheme-form w-1/4"; formInput.placeholder = "例: un-";
 				const funcInput = document.createElement("input");
 				funcInput.type = "text"; funcInput.className = "morpheme-func w-1/4"; funcInput.placeholder = "例: 否定";
+				typeSelect.value = values.type || "prefix"; formInput.value = values.form || ""; funcInput.value = values.func || "";
 				const removeBtn = document.createElement("button");
 				removeBtn.type = "button"; removeBtn.className = "btn btn-secondary text-sm remove-btn"; removeBtn.textContent = "X";
 				removeBtn.setAttribute("aria-label", "この接辞を削除");
 				div.append(typeSelect, formInput, funcInput, removeBtn);
 				UI.derivationalMorphemesList.appendChild(div);
 			}
+			return div;
 		},
 
 		handleInputChange() { this.updateStateFromUI(); this.updateAllDisplays(); },
@@ -726,20 +5296,49 @@
 		
 		handleGenerateLexicon() {
 			this.updateStateFromUI();
-			Lexicon.generate();
+			this.showGenerationShortfall(Lexicon.generate());
 			this.updateAllDisplays();
 		},
+
+		// Says how many of the requested roots could not be made, and why.
+		showGenerationShortfall({ requested, meanings, forms }) {
+			const notes = [];
+			if (meanings > 0) notes.push(`意味分野の語が尽きたため ${meanings}語 不足しています。分野を追加するか語根の数を減らしてください。`);
+			if (forms > 0) notes.push(`重複しない語形を作れなかったため ${forms}語 を省きました。音素や音節構造を増やしてください。`);
+			UI.generationShortfall.textContent = notes.length > 0 ? `要求 ${requested}語のうち: ${notes.join(" ")}` : "";
+		},
+
+		/**
+		 * Adds a custom field from a text file with one meaning per line (or comma-separated),
+		 * named after the file, and lists it among the semantic fields.
+		 */
+		async handleUploadCustomField(event) {
+			const file = event.target.files[0];
+			event.target.value = "";
+			if (!file) return;
+			const name = file.name.replace(/\.[^.]*$/, "");
+			const meanings = (await file.text()).split(/[,\r\n]/).map((m) => m.trim()).filter(Boolean);
+			this.addDynamicInput("customField", { name, tags: [], meanings });
+			const fields = UI.semanticFields.value.split(",").map((f) => f.trim()).filter(Boolean);
+			if (!fields.includes(name)) UI.semanticFields.value = [...fields, name].join(",");
+			this.handleInputChange();
+		},
 		
+		handleRandomizeSeed() {
+			UI.seed.value = Random.createSeed();
+			this.handleGenerateLexicon();
+		},
+
 		handleDynamicRemove(event) {
 			if (event.target.classList.contains("remove-btn")) {
-				event.target.closest(".phonology-rule-item, .morpheme-item").remove();
+				event.target.closest(".phonology-rule-item, .morpheme-item, .natural-class-item, .custom-field-item").remove();
 				this.handleInputChange();
 			}
 		},
 		
-		download(filename, text) {
+		download(filename, text, mimeType = "text/plain") {
 			const element = document.createElement("a");
-			element.setAttribute("href", "data:text/plain;charset=utf-8," + encodeURIComponent(text));
+			element.setAttribute("href", `data:${mimeType};charset=utf-8,` + encodeURIComponent(text));
 			element.setAttribute("download", filename);
 			element.style.display = "none";
 			document.body.appendChild(element);
@@ -747,24 +5346,443 @@
 			document.body.removeChild(element);
 		},
 		
-		exportJSON() {
-			const dataToExport = {
-				grammar: languageState.morphoSyntax,
-				phonology: languageState.phonology,
-				lexicon: languageState.generated.dictionary,
-				generated_grammar_details: languageState.generated.grammar,
-			};
-			this.download("language.json", JSON.stringify(dataToExport, null, 2));
+		renderExportFormats() {
+			Object.entries(Exporters.formats).forEach(([key, format]) => {
+				const opt = document.createElement("option");
+				opt.value = key;
+				opt.textContent = format.label;
+				UI.exportFormat.appendChild(opt);
+			});
+		},
+
+		/**
+		 * Builds a registered export format and downloads or prints it. Overrides such as
+		 * another language's data or a filename are merged into the export context.
+		 */
+		runExport(key, overrides = {}) {
+			const format = Exporters.formats[key];
+			if (!format) return;
+			const project = this.projectIndex && this.projectIndex.projects.find((p) => p.id === this.projectIndex.activeId);
+			const context = { title: project ? project.name : "人工言語", summary: this.grammarSummarySections(), ...overrides };
+			const output = format.build(context);
+			if (format.print) this.printDocument(output);
+			else this.download(context.filename || format.filename, output, format.mimeType);
+		},
+
+		// Prints an HTML document from a hidden frame, so the page itself is left as it is.
+		printDocument(html) {
+			const frame = document.createElement("iframe");
+			// Zero-sized rather than display:none, which some browsers refuse to print.
+			Object.assign(frame.style, { position: "fixed", width: "0", height: "0", border: "0" });
+			frame.setAttribute("aria-hidden", "true");
+			frame.addEventListener("load", () => {
+				frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+				frame.contentWindow.focus();
+				frame.contentWindow.print();
+			});
+			frame.srcdoc = html;
+			document.body.appendChild(frame);
 		},
 		
-		exportCSV() {
-			const { dictionary } = languageState.generated;
-			let csvContent = "ipa,roman,pos,meaning,gender\n";
-			dictionary.forEach((word) => {
-				const row = [word.ipa, word.roman, word.pos, word.meaning, word.gender || ""];
-				csvContent += row.map((val) => `"${String(val).replace(/"/g, '""')}"`).join(",") + "\n";
+		async handleWordlistFile(event) {
+			const file = event.target.files[0];
+			event.target.value = "";
+			if (!file) return;
+			const rows = WordlistImport.parse(await file.text());
+			if (rows.length === 0) {
+				this.showImportMessages([`${file.name}: 単語が見つかりません。`], []);
+				return;
+			}
+			this.showImportMessages([], []);
+			this.pendingWordlist = { rows, mapping: WordlistImport.guessMapping(rows, UI.wordlistHeader.checked) };
+			UI.wordlistImport.classList.remove("hidden");
+			this.renderWordlistImport();
+		},
+
+		handleWordlistMapping(event) {
+			const column = event.target.dataset.column;
+			if (column === undefined) return;
+			this.pendingWordlist.mapping[Number(column)] = event.target.value;
+			this.renderWordlistImport();
+		},
+
+		/**
+		 * Draws the column mapping over a preview of the first rows, then what the current
+		 * mapping would import and the inventory inferred from its IPA.
+		 */
+		renderWordlistImport() {
+			const { rows, mapping } = this.pendingWordlist;
+			const hasHeader = UI.wordlistHeader.checked;
+			UI.wordlistPreview.textContent = "";
+			const thead = UI.wordlistPreview.createTHead();
+			const mappingRow = thead.insertRow();
+			mapping.forEach((field, column) => {
+				const select = document.createElement("select");
+				select.dataset.column = column;
+				select.setAttribute("aria-label", `${column + 1}列目の割り当て`);
+				Object.entries(WordlistImport.FIELDS).forEach(([value, label]) => {
+					const opt = document.createElement("option");
+					opt.value = value;
+					opt.textContent = label;
+					select.appendChild(opt);
+				});
+				select.value = field;
+				const th = document.createElement("th");
+				th.appendChild(select);
+				mappingRow.appendChild(th);
+			});
+			if (hasHeader) {
+				const headerRow = thead.insertRow();
+				mapping.forEach((_, column) => {
+					const th = document.createElement("th");
+					th.textContent = rows[0][column] || "";
+					headerRow.appendChild(th);
+				});
+			}
+			const tbody = UI.wordlistPreview.createTBody();
+			rows.slice(hasHeader ? 1 : 0, hasHeader ? 6 : 5).forEach((cells) => {
+				const tr = tbody.insertRow();
+				mapping.forEach((_, column) => { tr.insertCell().textContent = cells[column] || ""; });
+			});
+
+			const { entries, ipaForms, warnings } = WordlistImport.toEntries(rows, mapping, hasHeader);
+			const inferred = WordlistImport.inferPhonology(ipaForms);
+			UI.wordlistSummary.textContent = "";
+			const fragment = document.createDocumentFragment();
+			const addLine = (text, className = "") => {
+				const li = document.createElement("li");
+				if (className) li.className = className;
+				li.textContent = text;
+				fragment.appendChild(li);
+			};
+			addLine(`取り込める語: ${entries.length} / ${rows.length - (hasHeader ? 1 : 0)}行`);
+			if (!mapping.includes("ipa") || !mapping.includes("meaning")) addLine("IPA と意味の列を割り当ててください。", "text-red-400");
+			if (entries.length > 0) {
+				addLine(`推定した子音: ${inferred.consonants.join(" ")}`);
+				addLine(`推定した母音: ${inferred.vowels.join(" ")}`);
+				addLine(`推定した音節構造: ${inferred.syllableStructures.join(", ")}`);
+			}
+			warnings.slice(0, 5).forEach((msg) => addLine(msg, "text-yellow-400"));
+			if (warnings.length > 5) addLine(`ほか ${warnings.length - 5} 件の警告`, "text-yellow-400");
+			UI.wordlistSummary.appendChild(fragment);
+			UI.confirmWordlist.disabled = entries.length === 0;
+		},
+
+		/**
+		 * Adds the mapped words to the dictionary (or replaces it) as locked entries.
+		 * The inferred inventory is applied first so spellings derived from IPA use it.
+		 */
+		handleConfirmWordlist() {
+			const { rows, mapping } = this.pendingWordlist;
+			const hasHeader = UI.wordlistHeader.checked;
+			if (UI.wordlistApplyPhonology.checked) {
+				const inferred = WordlistImport.inferPhonology(WordlistImport.toEntries(rows, mapping, hasHeader).ipaForms);
+				UI.consonants.value = inferred.consonants.join(" ");
+				UI.vowels.value = inferred.vowels.join(" ");
+				UI.syllableStructure.value = inferred.syllableStructures.join(",");
+				this.updateStateFromUI();
+			}
+			const { entries, warnings } = WordlistImport.toEntries(rows, mapping, hasHeader);
+			if (UI.wordlistMode.value === "replace") {
+				languageState.generated.dictionary = Lexicon.assignIds(entries, []);
+			} else {
+				languageState.generated.dictionary.push(...Lexicon.assignIds(entries));
+			}
+			this.closeWordlistImport();
+			this.showImportMessages([], warnings);
+			this.updateAllDisplays();
+		},
+
+		closeWordlistImport() {
+			this.pendingWordlist = null;
+			UI.wordlistImport.classList.add("hidden");
+			UI.wordlistPreview.textContent = "";
+			UI.wordlistSummary.textContent = "";
+		},
+
+		async handleImportJSON(event) {
+			const file = event.target.files[0];
+			event.target.value = ""; // Allow re-importing the same file after fixing it
+			if (!file) return;
+
+			let raw;
+			try {
+				raw = JSON.parse(await file.text());
+			} catch (e) {
+				this.showImportMessages([`${file.name}: JSONとして読み込めません (${e.message})`], []);
+				return;
+			}
+
+			const { errors, warnings, data } = LanguageFile.validate(raw);
+			this.showImportMessages(errors, warnings);
+			if (data) this.restoreWorkspace(data);
+		},
+
+		showImportMessages(errors, warnings) {
+			UI.importMessages.textContent = "";
+			const fragment = document.createDocumentFragment();
+			const addMessage = (text, className) => {
+				const li = document.createElement("li");
+				li.className = className;
+				li.textContent = text;
+				fragment.appendChild(li);
+			};
+			if (errors.length > 0) addMessage("インポートに失敗しました。以下の項目を修正してください:", "font-semibold text-red-400");
+			errors.forEach((msg) => addMessage(msg, "text-red-400"));
+			warnings.forEach((msg) => addMessage(msg, "text-yellow-400"));
+			UI.importMessages.appendChild(fragment);
+			UI.importMessages.classList.toggle("hidden", errors.length === 0 && warnings.length === 0);
+		},
+
+		/**
+		 * Writes a validated workspace back into every control, then restores the saved
+		 * dictionary and grammar as-is instead of regenerating them.
+		 */
+		restoreWorkspace(data) {
+			const { phonology, morphoSyntax, lexicon } = data;
+			UI.seed.value = data.seed;
+
+			UI.consonants.value = phonology.consonants.join(" ");
+			UI.vowels.value = phonology.vowels.join(" ");
+			UI.syllableStructure.value = phonology.syllableStructures.join(",");
+			UI.frequencyDistribution.value = phonology.distribution.mode;
+			UI.phonemeWeights.value = this.formatWeights(phonology.distribution.phonemeWeights);
+			UI.syllableWeights.value = this.formatWeights(phonology.distribution.syllableWeights);
+			UI.onsetOnly.value = phonology.distribution.onsetOnly.join(" ");
+			UI.codaOnly.value = phonology.distribution.codaOnly.join(" ");
+			UI.bannedSequences.value = phonology.distribution.bannedSequences.join(" ");
+			UI.syllableCounts.value = this.formatWeights(phonology.prosody.syllableCounts);
+			UI.stressSystem.value = phonology.prosody.stress;
+			UI.maxCluster.value = phonology.prosody.maxCluster;
+			UI.avoidHiatus.checked = phonology.prosody.avoidHiatus;
+			UI.tonesEnabled.checked = phonology.tones.enabled;
+			UI.tonesCount.value = phonology.tones.count;
+			UI.tonesCount.setAttribute("aria-valuetext", phonology.tones.count);
+			UI.tonesCountValue.textContent = phonology.tones.count;
+			UI.tonesControls.classList.toggle("hidden", !phonology.tones.enabled);
+			UI.phonologyRulesList.textContent = "";
+			phonology.phonologicalRules.forEach((rule) => this.addDynamicInput("phonologyRule", rule));
+			UI.naturalClassesList.textContent = "";
+			phonology.naturalClasses.forEach((naturalClass) => this.addDynamicInput("naturalClass", naturalClass));
+
+			UI.semanticFields.value = lexicon.semanticFields.join(",");
+			UI.generationShortfall.textContent = "";
+			UI.customFieldsList.textContent = "";
+			lexicon.customFields.forEach((field) => this.addDynamicInput("customField", field));
+			UI.prioritizeFields.checked = lexicon.prioritizeFields;
+			UI.polysemyRate.value = Math.round(lexicon.polysemyRate * 1000) / 10;
+			UI.synonymRate.value = Math.round(lexicon.synonymRate * 1000) / 10;
+			UI.homophonyRate.value = Math.round(lexicon.homophonyRate * 1000) / 10;
+			UI.dialects.value = lexicon.dialects.join(",");
+			UI.lexiconSize.value = lexicon.rootCount;
+			UI.loanwordsEnabled.checked = lexicon.loanwords.enabled;
+			UI.loanRate.value = Math.round(lexicon.loanwords.rate * 1000) / 10;
+			UI.loanLanguage.value = lexicon.loanwords.language;
+			UI.loanRepair.value = lexicon.loanwords.repair;
+			UI.loanWords.value = Lexicon.formatLoanSources(lexicon.loanwords.words);
+
+			UI.wordOrder.value = morphoSyntax.wordOrder;
+			UI.adjectiveOrder.value = morphoSyntax.adjectiveOrder;
+			UI.caseMarking.forEach((el) => { el.checked = el.value === morphoSyntax.caseMarking; });
+			UI.grammaticalGender.forEach((el) => { el.checked = el.value === morphoSyntax.grammaticalGender; });
+			UI.genderAgreement.checked = morphoSyntax.genderAgreement;
+			UI.inflection.forEach((el) => {
+				el.checked = morphoSyntax.inflection[el.name.replace("inflection-", "")].includes(el.value);
+			});
+			UI.derivationDepth.value = morphoSyntax.derivationDepth;
+			UI.compoundHead.value = morphoSyntax.compounding.head;
+			UI.compoundLinker.value = morphoSyntax.compounding.linker;
+			UI.compoundFusion.value = morphoSyntax.compounding.fusion;
+			UI.sentenceCount.value = morphoSyntax.exampleSentences.count;
+			UI.constructions.forEach((el) => { el.checked = morphoSyntax.exampleSentences.constructions.includes(el.value); });
+			const irregularity = Math.round(morphoSyntax.irregularityRate * 100);
+			UI.irregularityRate.value = irregularity;
+			UI.irregularityRate.setAttribute("aria-valuetext", `${irregularity}%`);
+			UI.irregularityRateValue.textContent = `${irregularity}%`;
+			UI.derivationalMorphemesList.textContent = "";
+			morphoSyntax.derivationalMorphemes.forEach((morpheme) => this.addDynamicInput("morpheme", morpheme));
+
+			this.updateStateFromUI();
+			languageState.morphoSyntax.markerOverrides = morphoSyntax.markerOverrides;
+			languageState.morphoSyntax.markerSeed = morphoSyntax.markerSeed;
+			languageState.orthography = data.orthography;
+			this.editingOrthography = data.orthography.primary;
+			languageState.evolution = data.evolution;
+			this.editingDaughter = 0;
+			languageState.generated.dictionary = data.dictionary;
+			languageState.generated.grammar = data.grammar;
+			this.updateAllDisplays();
+		},
+
+		/**
+		 * Opens the last active project, or registers the current workspace as the first one.
+		 * @returns {boolean} true when a saved project was restored.
+		 */
+		loadProjects() {
+			this.projectIndex = ProjectStore.loadIndex();
+			const { projects } = this.projectIndex;
+			if (projects.length === 0) {
+				const id = ProjectStore.createId();
+				projects.push({ id, name: "無題のプロジェクト" });
+				this.projectIndex.activeId = id;
+				this.renderProjectSelect();
+				return false;
+			}
+			if (!projects.some((p) => p.id === this.projectIndex.activeId)) {
+				this.projectIndex.activeId = projects[0].id;
+			}
+			this.renderProjectSelect();
+			if (this.openProject(this.projectIndex.activeId)) return true;
+			// The unreadable project stays stored as it is; the fresh workspace gets a project of its own.
+			const id = ProjectStore.createId();
+			projects.push({ id, name: "無題のプロジェクト" });
+			this.projectIndex.activeId = id;
+			this.renderProjectSelect();
+			return false;
+		},
+
+		/**
+		 * Restores a stored project and makes it the active one. If its data does not
+		 * validate, the current project stays active and the stored data is not touched.
+		 * @returns {boolean} true when the project was opened.
+		 */
+		openProject(id) {
+			const { errors, warnings, data } = LanguageFile.validate(ProjectStore.load(id));
+			if (!data) {
+				this.renderProjectSelect();
+				this.showImportMessages(errors, warnings);
+				this.setProjectStatus("保存データを読み込めませんでした。保存データは変更していません。");
+				return false;
+			}
+			this.showImportMessages([], []);
+			this.restoreWorkspace(data);
+			this.projectIndex.activeId = id;
+			this.renderProjectSelect();
+			return true;
+		},
+
+		renderProjectSelect() {
+			UI.projectSelect.textContent = "";
+			const fragment = document.createDocumentFragment();
+			this.projectIndex.projects.forEach((project) => {
+				const opt = document.createElement("option");
+				opt.value = project.id;
+				opt.textContent = project.name;
+				fragment.appendChild(opt);
+			});
+			UI.projectSelect.appendChild(fragment);
+			UI.projectSelect.value = this.projectIndex.activeId;
+			UI.deleteProject.disabled = this.projectIndex.projects.length <= 1;
+		},
+
+		setProjectStatus(text) {
+			UI.projectStatus.textContent = text;
+		},
+
+		scheduleAutosave() {
+			clearTimeout(this.autosaveTimer);
+			this.autosaveTimer = setTimeout(() => this.saveActiveProject(), 500);
+		},
+
+		saveActiveProject() {
+			clearTimeout(this.autosaveTimer);
+			if (!this.projectIndex) return;
+			const { activeId, projects } = this.projectIndex;
+			const project = projects.find((p) => p.id === activeId);
+			if (!project) return;
+			try {
+				ProjectStore.save(activeId, LanguageFile.serialize());
+				project.updatedAt = new Date().toISOString();
+				ProjectStore.saveIndex(this.projectIndex);
+				this.setProjectStatus(`自動保存しました (${new Date().toLocaleTimeString()})`);
+			} catch (e) {
+				console.error("Autosave failed:", e);
+				this.setProjectStatus("自動保存に失敗しました。ストレージの空き容量を確認してください。");
+			}
+		},
+
+		handleProjectSwitch(event) {
+			this.saveActiveProject();
+			if (this.openProject(event.target.value)) this.saveActiveProject();
+		},
+
+		handleNewProject() {
+			const name = prompt("新しいプロジェクトの名前", "無題のプロジェクト");
+			if (name === null) return;
+			this.saveActiveProject();
+			const id = ProjectStore.createId();
+			this.projectIndex.projects.push({ id, name: name.trim() || "無題のプロジェクト" });
+			this.projectIndex.activeId = id;
+			this.renderProjectSelect();
+			this.resetControls();
+			this.handleRandomizeSeed();
+			this.saveActiveProject();
+		},
+
+		handleRenameProject() {
+			const project = this.projectIndex.projects.find((p) => p.id === this.projectIndex.activeId);
+			const name = prompt("プロジェクト名", project.name);
+			if (name === null || !name.trim()) return;
+			project.name = name.trim();
+			this.renderProjectSelect();
+			this.saveActiveProject();
+		},
+
+		handleDuplicateProject() {
+			const source = this.projectIndex.projects.find((p) => p.id === this.projectIndex.activeId);
+			this.saveActiveProject();
+			const id = ProjectStore.createId();
+			const index = this.projectIndex.projects.indexOf(source);
+			this.projectIndex.projects.splice(index + 1, 0, { id, name: `${source.name} (コピー)` });
+			this.projectIndex.activeId = id;
+			this.renderProjectSelect();
+			this.saveActiveProject();
+		},
+
+		handleDeleteProject() {
+			const { projects, activeId } = this.projectIndex;
+			if (projects.length <= 1) return;
+			const project = projects.find((p) => p.id === activeId);
+			if (!confirm(`プロジェクト「${project.name}」を削除しますか？この操作は取り消せません。`)) return;
+			clearTimeout(this.autosaveTimer);
+			const index = projects.indexOf(project);
+			const next = projects[index + 1] || projects[index - 1];
+			// Opening the next project first keeps this one if that fails.
+			if (!this.openProject(next.id)) {
+				this.setProjectStatus("次のプロジェクトを読み込めないため、削除を中止しました。");
+				return;
+			}
+			ProjectStore.remove(activeId);
+			projects.splice(index, 1);
+			ProjectStore.saveIndex(this.projectIndex);
+			this.renderProjectSelect();
+		},
+
+		/**
+		 * Puts the language settings in the controls panel back to their initial HTML values.
+		 */
+		resetControls() {
+			UI.controlsPanel.querySelectorAll("details input, details textarea, details select").forEach((el) => {
+				if (el.type === "checkbox" || el.type === "radio") el.checked = el.defaultChecked;
+				else if (el.tagName === "SELECT") Array.from(el.options).forEach((opt) => { opt.selected = opt.defaultSelected; });
+				else el.value = el.defaultValue;
 			});
-			this.download("lexicon.csv", csvContent);
+			UI.phonologyRulesList.textContent = "";
+			UI.naturalClassesList.textContent = "";
+			UI.customFieldsList.textContent = "";
+			UI.derivationalMorphemesList.textContent = "";
+			UI.tonesControls.classList.toggle("hidden", !UI.tonesEnabled.checked);
+			UI.tonesCountValue.textContent = UI.tonesCount.value;
+			languageState.orthography = Orthography.createDefault();
+			this.editingOrthography = 0;
+			languageState.evolution = { daughters: [] };
+			this.editingDaughter = 0;
+			languageState.morphoSyntax.markerOverrides = {};
+			languageState.morphoSyntax.markerSeed = "";
+			// Locked entries survive regeneration, so the old words must not reach a new project.
+			languageState.generated.dictionary = [];
+			languageState.generated.grammar = JSON.parse(JSON.stringify(this.initialGrammar));
+			UI.irregularityRateValue.textContent = `${UI.irregularityRate.value}%`;
 		},
 	};
 